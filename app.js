@@ -38,25 +38,81 @@
   // List view sort state (independent of filter sort)
   let listSortState = { column: 'title', direction: 'asc' };
 
-  // Cover image cache
+  // ---- Cover Cache ----
+  //
+  // Covers found for books without an explicit `coverImage` are cached per
+  // book id: { key: bookId, title, author, url, fetchedAt, usedAt }. `url` is
+  // null when every lookup came back empty. An entry is ignored (and refetched)
+  // once it expires or once the book's title/author no longer match it. Lookups
+  // that failed on the network aren't cached at all, so they retry next time.
+
   const COVER_CACHE_KEY = 'reading-list-covers';
+  const COVER_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+  const COVER_MISS_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+  const COVER_CACHE_MAX_ENTRIES = 500;
+
+  let coverCache = {};
+  const touchedCoverKeys = new Set();
+
+  // Loads the cache, converting entries written by older versions (keyed by
+  // 'title|||author' with a bare url) and dropping their cached misses.
+  async function loadCoverCache() {
+    const raw = await store.loadCovers();
+    const cache = {};
+    const legacy = {};
+    Object.entries(raw).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && value.fetchedAt) {
+        cache[key] = value;
+      } else {
+        legacy[key] = value && typeof value === 'object' ? value.url : value;
+      }
+    });
 
-  function loadCoverCache() {
-    try {
-      return JSON.parse(localStorage.getItem(COVER_CACHE_KEY)) || {};
-    } catch { return {}; }
+    const legacyKeys = Object.keys(legacy);
+    if (legacyKeys.length > 0) {
+      const now = Date.now();
+      const converted = [];
+      books.forEach(book => {
+        const url = legacy[`${book.title}|||${book.author}`];
+        if (url && !cache[book.id]) {
+          cache[book.id] = { key: book.id, title: book.title, author: book.author, url, fetchedAt: now, usedAt: now };
+          converted.push(cache[book.id]);
+        }
+      });
+      writeCoverEntries(converted, legacyKeys);
+    }
+    return cache;
   }
 
-  function saveCoverCache(cache) {
-    localStorage.setItem(COVER_CACHE_KEY, JSON.stringify(cache));
+  // Returns the cache entry for a book, or undefined if it needs (re)fetching
+  function getCachedCover(book) {
+    const entry = coverCache[book.id];
+    if (!entry) return undefined;
+    if (entry.title !== book.title || entry.author !== book.author) return undefined;
+    const ttl = entry.url ? COVER_TTL_MS : COVER_MISS_TTL_MS;
+    if (Date.now() - entry.fetchedAt > ttl) return undefined;
+
+    entry.usedAt = Date.now();
+    touchedCoverKeys.add(entry.key);
+    flushCoverUsage();
+    return entry;
   }
 
-  async function fetchCoverForBook(book) {
-    const cache = loadCoverCache();
-    const cacheKey = `${book.title}|||${book.author}`;
-    if (cacheKey in cache) return cache[cacheKey];
+  // usedAt changes on every render, so persist it in batches
+  const flushCoverUsage = debounce(() => {
+    const entries = [...touchedCoverKeys].map(key => coverCache[key]).filter(Boolean);
+    touchedCoverKeys.clear();
+    writeCoverEntries(entries);
+  }, 2000);
+
+  async function fetchCoverForBook(book, { force = false } = {}) {
+    if (!force) {
+      const cached = getCachedCover(book);
+      if (cached) return cached.url;
+    }
 
     let url = null;
+    let failed = false;
 
     // Strategy 1: Open Library — title + author
     try {
@@ -65,7 +121,7 @@
       if (data.docs && data.docs.length > 0 && data.docs[0].cover_edition_key) {
         url = `https://covers.openlibrary.org/b/olid/${data.docs[0].cover_edition_key}-M.jpg`;
       }
-    } catch { /* continue */ }
+    } catch { failed = true; }
 
     // Strategy 2: Open Library — title only
     if (!url) {
@@ -75,7 +131,7 @@
         if (data.docs && data.docs.length > 0 && data.docs[0].cover_edition_key) {
           url = `https://covers.openlibrary.org/b/olid/${data.docs[0].cover_edition_key}-M.jpg`;
         }
-      } catch { /* continue */ }
+      } catch { failed = true; }
     }
 
     // Strategy 3: Google Books API
@@ -90,28 +146,218 @@
             url = (imageLinks.thumbnail || imageLinks.smallThumbnail || '').replace('http://', 'https://');
           }
         }
-      } catch { /* continue */ }
+      } catch { failed = true; }
+    }
+
+    // A miss caused by a network error says nothing about the book — try again later
+    if (!url && failed) return null;
+
+    const now = Date.now();
+    const entry = { key: book.id, title: book.title, author: book.author, url, fetchedAt: now, usedAt: now };
+    coverCache[book.id] = entry;
+    writeCoverEntries([entry], pruneCoverCache());
+    return url;
+  }
+
+  // Evicts entries for books that no longer exist, then least recently used
+  // entries beyond the size limit. Returns the evicted keys.
+  function pruneCoverCache() {
+    const ids = new Set(books.map(b => b.id));
+    const evicted = Object.keys(coverCache).filter(key => !ids.has(key));
+    const remaining = Object.values(coverCache)
+      .filter(entry => ids.has(entry.key))
+      .sort((a, b) => b.usedAt - a.usedAt);
+    remaining.slice(COVER_CACHE_MAX_ENTRIES).forEach(entry => evicted.push(entry.key));
+    evicted.forEach(key => { delete coverCache[key]; });
+    return evicted;
+  }
+
+  async function refreshCover(id) {
+    const book = books.find(b => b.id === id);
+    if (!book) return;
+    showToast('Refreshing cover…');
+    const url = await fetchCoverForBook(book, { force: true });
+    renderAll();
+    if (currentDetailId === id && isModalOpen('bookDetailModal')) showBookDetail(id);
+    showToast(url ? 'Cover updated' : 'No cover found');
+  }
+
+  // Looks every cover up again; the offline image bytes (including covers the
+  // user supplied) stay, so covers still show offline in the meantime
+  async function refreshAllCovers() {
+    await clearCoverUrls();
+    renderAll();
+    showToast('Refreshing covers…');
+  }
+
+  // ---- Offline Cover Images ----
+  //
+  // Cover image bytes (fetched and user-supplied) are kept in the Cache API so
+  // covers still show offline or when Open Library / Google Books are slow.
+  // `coverImageIndex` (in meta) tracks { url: { size, usedAt } } for a size
+  // budget, evicting least recently used images first. Only images served with
+  // CORS headers can be read back, so others keep loading from the network.
+  // The images are read into object URLs after the first render, which then
+  // re-renders; an object URL is only revoked once covers are re-rendered off it.
+
+  const COVER_IMAGE_CACHE = 'reading-list-cover-images';
+  const COVER_IMAGE_BUDGET_BYTES = 30 * 1024 * 1024;
+
+  let coverImageIndex = {};
+  const coverObjectUrls = new Map();
+  const pendingCoverImages = new Set();
+  const uncachableCoverImages = new Set();
+  let coverImageQueue = Promise.resolve();
+
+  function coverImagesSupported() {
+    return 'caches' in window;
+  }
+
+  async function loadCoverImageIndex() {
+    if (!coverImagesSupported()) return;
+    coverImageIndex = (await store.getMeta('coverImageIndex').catch(() => null)) || {};
+  }
+
+  async function loadCoverImages() {
+    if (!coverImagesSupported()) return;
+    try {
+      const cache = await caches.open(COVER_IMAGE_CACHE);
+      await Promise.all(Object.keys(coverImageIndex).map(async url => {
+        const resp = await cache.match(url);
+        if (resp) {
+          coverObjectUrls.set(url, URL.createObjectURL(await resp.blob()));
+        } else {
+          delete coverImageIndex[url];
+        }
+      }));
+    } catch (err) {
+      logFailure('Failed to load offline covers', err);
     }
+    if (coverObjectUrls.size > 0) renderCovers();
+  }
+
+  function renderCovers() {
+    renderAll();
+    if (currentDetailId && isModalOpen('bookDetailModal')) showBookDetail(currentDetailId);
+  }
+
+  // Re-renders first so no cover still points at the URLs being freed
+  function releaseCoverObjectUrls(objectUrls) {
+    if (objectUrls.length === 0) return;
+    renderCovers();
+    objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+  }
 
-    cache[cacheKey] = url;
-    saveCoverCache(cache);
+  // The local copy of a cover if there is one; otherwise the remote url, and
+  // the image is queued for download so it's available next time.
+  function coverSrc(url) {
+    if (!url) return url;
+    const local = coverObjectUrls.get(url);
+    if (local) {
+      coverImageIndex[url].usedAt = Date.now();
+      saveCoverImageIndex();
+      return local;
+    }
+    // Cached, but not read back yet (just after load) — no need to fetch again
+    if (!coverImageIndex[url]) queueCoverImage(url);
     return url;
   }
 
+  function queueCoverImage(url) {
+    if (!coverImagesSupported() || !navigator.onLine) return;
+    if (pendingCoverImages.has(url) || uncachableCoverImages.has(url)) return;
+    pendingCoverImages.add(url);
+    coverImageQueue = coverImageQueue
+      .then(() => storeCoverImage(url))
+      .then(() => pendingCoverImages.delete(url));
+  }
+
+  async function storeCoverImage(url) {
+    try {
+      const resp = await fetch(url, { mode: 'cors' });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const blob = await resp.blob();
+      if (!blob.type.startsWith('image/')) throw new Error(`Not an image (${blob.type})`);
+
+      const cache = await caches.open(COVER_IMAGE_CACHE);
+      await cache.put(url, new Response(blob, { headers: { 'Content-Type': blob.type } }));
+      coverImageIndex[url] = { size: blob.size, usedAt: Date.now() };
+      coverObjectUrls.set(url, URL.createObjectURL(blob));
+      await evictCoverImages(cache);
+      saveCoverImageIndex();
+    } catch (err) {
+      // CORS-blocked, missing or over quota — don't keep retrying this session
+      uncachableCoverImages.add(url);
+    }
+  }
+
+  async function evictCoverImages(cache) {
+    const entries = Object.entries(coverImageIndex).sort((a, b) => a[1].usedAt - b[1].usedAt);
+    let total = entries.reduce((sum, [, info]) => sum + info.size, 0);
+    const evicted = [];
+    for (const [url, info] of entries) {
+      if (total <= COVER_IMAGE_BUDGET_BYTES) break;
+      await cache.delete(url);
+      if (coverObjectUrls.has(url)) evicted.push(coverObjectUrls.get(url));
+      coverObjectUrls.delete(url);
+      delete coverImageIndex[url];
+      total -= info.size;
+    }
+    releaseCoverObjectUrls(evicted);
+  }
+
+  const saveCoverImageIndex = debounce(() => {
+    store.setMeta('coverImageIndex', coverImageIndex).catch(err => {
+      logFailure('Failed to save offline cover index', err);
+    });
+  }, 2000);
+
+  async function clearCoverImages() {
+    if (!coverImagesSupported()) return;
+    try {
+      await caches.delete(COVER_IMAGE_CACHE);
+    } catch (err) {
+      logFailure('Failed to clear offline covers', err);
+    }
+    const objectUrls = [...coverObjectUrls.values()];
+    coverObjectUrls.clear();
+    uncachableCoverImages.clear();
+    coverImageIndex = {};
+    saveCoverImageIndex();
+    releaseCoverObjectUrls(objectUrls);
+  }
+
   // ---- Initialization ----
 
   async function init() {
     document.body.classList.add(isAdmin ? 'admin-mode' : 'public-mode');
 
-    books = loadBooks();
+    store = await openStorage();
+    openSync();
+    books = await loadBooks();
+    if (!(await upgradeStoredBooks())) {
+      // Saved by a newer version: no repairs, purges or saves, just the notice
+      document.getElementById('storageNewerReloadBtn').onclick = () => location.reload();
+      openModal('storageNewerModal');
+      registerServiceWorker();
+      return;
+    }
+    coverCache = await loadCoverCache();
+    await loadCoverImageIndex();
+    trashRetentionDays = await loadTrashRetention();
+    // Repair first: it keeps a trashed book whose timestamp is unreadable in the Trash
+    repairStoredProblems();
+    purgeExpiredTrash();
 
     // If empty, load seed data
     if (books.length === 0 && typeof SEED_DATA !== 'undefined') {
-      books = SEED_DATA;
+      books = migrateBooks(SEED_DATA, 0);
       saveBooks();
       showToast('Loaded seed data — welcome!');
     }
 
+    await takeDailySnapshot();
+
     populateGenreFilter();
     // Set initial view toggle state
     document.querySelectorAll('.view-toggle-btn').forEach(btn => {
@@ -120,499 +366,2002 @@
     renderAll();
     updateStats();
     bindEvents();
+    startSync();
+    registerServiceWorker();
+    loadCoverImages();
+    handleSharedBook();
   }
 
-  // ---- LocalStorage ----
+  // ---- Storage ----
+  //
+  // The library is kept in IndexedDB, one record per book, with indexes on
+  // status/author/genre/dateAdded. When IndexedDB is unavailable (some private
+  // browsing modes, very old browsers) the same interface is served from
+  // localStorage instead. Data saved by older versions of the app under the
+  // localStorage keys is moved into IndexedDB on first load.
 
-  function loadBooks() {
+  const DB_NAME = 'harrys-reading-list';
+  const DB_VERSION = 2;
+  const META_KEY = 'reading-list-meta';
+  const SNAPSHOTS_KEY = 'reading-list-snapshots';
+
+  let store = null;
+
+  // id -> JSON of each book as last written, so saves only touch changed records
+  const persisted = new Map();
+
+  async function openStorage() {
+    if (!window.indexedDB) return createLocalStorageStore();
     try {
-      const data = localStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : [];
-    } catch {
-      return [];
+      const idbStore = createIndexedDbStore(await openDatabase());
+      await migrateFromLocalStorage(idbStore);
+      return idbStore;
+    } catch (err) {
+      logFailure('IndexedDB unavailable, falling back to localStorage', err);
+      return createLocalStorageStore();
     }
   }
 
-  function saveBooks() {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(books));
+  // An upgrade waits until every other connection has closed. Tabs running this
+  // code close theirs on versionchange; a tab still running an older version
+  // blocks it, so ask for that tab to be closed — the open then completes.
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onblocked = () => openModal('storageBlockedModal');
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        if (e.oldVersion < 1) {
+          const bookStore = db.createObjectStore('books', { keyPath: 'id' });
+          bookStore.createIndex('status', 'status');
+          bookStore.createIndex('author', 'author');
+          bookStore.createIndex('genre', 'genre');
+          bookStore.createIndex('dateAdded', 'dateAdded');
+          db.createObjectStore('covers', { keyPath: 'key' });
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+        if (e.oldVersion < 2) {
+          db.createObjectStore('snapshots', { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        db.onversionchange = () => {
+          db.close();
+          showDatabaseClosedBanner();
+        };
+        if (isModalOpen('storageBlockedModal')) closeModal('storageBlockedModal');
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
   }
 
-  // ---- Rendering ----
+  function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
 
-  function renderAll() {
-    const filtered = getFilteredBooks();
-
-    const favorites = filtered.filter(b => b.favorite && b.status === 'finished');
-    const reading = filtered.filter(b => b.status === 'reading');
-    const owned = filtered.filter(b => b.status === 'up-next');
-    const wantToBuy = filtered.filter(b => b.status === 'wishlist');
-    const paused = filtered.filter(b => b.status === 'on-hold');
-    const completedRaw = filtered.filter(b => b.status === 'finished' && !b.favorite);
-    const completed = [...completedRaw].sort((a, b) => {
-      if (a.rating == null && b.rating == null) return a.title.localeCompare(b.title);
-      if (a.rating == null) return 1;
-      if (b.rating == null) return -1;
-      if (b.rating !== a.rating) return b.rating - a.rating;
-      return a.title.localeCompare(b.title);
+  function idbTransaction(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
     });
+  }
 
-    const renderFn = currentView === 'list' ? renderList : renderGrid;
+  // Every method is async: once the connection has been closed (versionchange)
+  // db.transaction() throws, and callers expect that as a rejection.
+  function createIndexedDbStore(db) {
+    return {
+      kind: 'indexeddb',
+      snapshotLimits: { count: 30, bytes: 25 * 1024 * 1024 },
+
+      async loadBooks() {
+        return idbRequest(db.transaction('books').objectStore('books').getAll());
+      },
+
+      async getBooks(ids) {
+        const bookStore = db.transaction('books').objectStore('books');
+        const rows = await Promise.all(ids.map(id => idbRequest(bookStore.get(id))));
+        return rows.filter(Boolean);
+      },
+
+      async writeBooks({ put = [], remove = [] }) {
+        const tx = db.transaction('books', 'readwrite');
+        const bookStore = tx.objectStore('books');
+        put.forEach(book => bookStore.put(book));
+        remove.forEach(id => bookStore.delete(id));
+        return idbTransaction(tx);
+      },
+
+      async loadCovers() {
+        const rows = await idbRequest(db.transaction('covers').objectStore('covers').getAll());
+        const covers = {};
+        rows.forEach(row => { covers[row.key] = row; });
+        return covers;
+      },
+
+      async writeCovers(put = [], remove = []) {
+        const tx = db.transaction('covers', 'readwrite');
+        const coverStore = tx.objectStore('covers');
+        put.forEach(entry => coverStore.put(entry));
+        remove.forEach(key => coverStore.delete(key));
+        return idbTransaction(tx);
+      },
+
+      async clearCovers() {
+        const tx = db.transaction('covers', 'readwrite');
+        tx.objectStore('covers').clear();
+        return idbTransaction(tx);
+      },
+
+      async getMeta(key) {
+        const row = await idbRequest(db.transaction('meta').objectStore('meta').get(key));
+        return row ? row.value : undefined;
+      },
+
+      async setMeta(key, value) {
+        const tx = db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put({ key, value });
+        return idbTransaction(tx);
+      },
+
+      async loadSnapshots() {
+        return idbRequest(db.transaction('snapshots').objectStore('snapshots').getAll());
+      },
+
+      async writeSnapshot(snapshot, removeIds = []) {
+        const tx = db.transaction('snapshots', 'readwrite');
+        const snapshotStore = tx.objectStore('snapshots');
+        snapshotStore.put(snapshot);
+        removeIds.forEach(id => snapshotStore.delete(id));
+        return idbTransaction(tx);
+      },
+
+      // Writes legacy localStorage data and the migration flag in one transaction,
+      // so a failed migration leaves nothing half-copied.
+      async importLegacy(legacyBooks, legacyCovers) {
+        const tx = db.transaction(['books', 'covers', 'meta'], 'readwrite');
+        const bookStore = tx.objectStore('books');
+        const coverStore = tx.objectStore('covers');
+        legacyBooks.forEach(book => bookStore.put(book));
+        Object.entries(legacyCovers).forEach(([key, url]) => coverStore.put({ key, url }));
+        tx.objectStore('meta').put({ key: 'migratedFromLocalStorage', value: new Date().toISOString() });
+        return idbTransaction(tx);
+      }
+    };
+  }
 
-    renderFn('favoritesGrid', favorites, 'No favorites yet');
-    renderFn('readingGrid', reading, 'Nothing currently being read');
-    renderFn('ownedGrid', owned, 'No books in this category');
-    renderFn('wantToBuyGrid', wantToBuy, 'No books in this category');
-    renderFn('pausedGrid', paused, 'No books on hold');
-    renderFn('completedGrid', completed, 'No finished books');
-
-    // Update section counts
-    updateSectionCount('favoritesSection', favorites.length);
-    updateSectionCount('readingSection', reading.length);
-    updateSectionCount('ownedSection', owned.length);
-    updateSectionCount('wantToBuySection', wantToBuy.length);
-    updateSectionCount('pausedSection', paused.length);
-    updateSectionCount('completedSection', completed.length);
-
-    // Show/hide sections
-    toggleSection('favoritesSection', favorites.length);
-    toggleSection('readingSection', reading.length);
-    toggleSection('ownedSection', owned.length);
-    toggleSection('wantToBuySection', wantToBuy.length);
-    toggleSection('pausedSection', paused.length);
-    toggleSection('completedSection', completed.length);
+  function createLocalStorageStore() {
+    return {
+      kind: 'localstorage',
+      // localStorage shares ~5 MB with the library itself, so keep only a few
+      snapshotLimits: { count: 3, bytes: 1024 * 1024 },
+
+      async loadBooks() {
+        return readJson(STORAGE_KEY, []);
+      },
+
+      async getBooks(ids) {
+        return readJson(STORAGE_KEY, []).filter(b => ids.includes(b.id));
+      },
+
+      async writeBooks({ put = [], remove = [] }) {
+        // Re-read first so records another tab wrote in the meantime survive
+        const byId = new Map(readJson(STORAGE_KEY, []).map(b => [b.id, b]));
+        put.forEach(book => byId.set(book.id, book));
+        remove.forEach(id => byId.delete(id));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify([...byId.values()]));
+      },
+
+      async loadCovers() {
+        return readJson(COVER_CACHE_KEY, {});
+      },
+
+      async writeCovers(put = [], remove = []) {
+        const covers = readJson(COVER_CACHE_KEY, {});
+        put.forEach(entry => { covers[entry.key] = entry; });
+        remove.forEach(key => { delete covers[key]; });
+        localStorage.setItem(COVER_CACHE_KEY, JSON.stringify(covers));
+      },
+
+      async clearCovers() {
+        localStorage.removeItem(COVER_CACHE_KEY);
+      },
+
+      async getMeta(key) {
+        return readJson(META_KEY, {})[key];
+      },
+
+      async setMeta(key, value) {
+        const meta = readJson(META_KEY, {});
+        meta[key] = value;
+        localStorage.setItem(META_KEY, JSON.stringify(meta));
+      },
+
+      async loadSnapshots() {
+        return readJson(SNAPSHOTS_KEY, []);
+      },
+
+      async writeSnapshot(snapshot, removeIds = []) {
+        const snapshots = readJson(SNAPSHOTS_KEY, []).filter(s => !removeIds.includes(s.id));
+        snapshots.push(snapshot);
+        localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(snapshots));
+      }
+    };
+  }
 
-    updateClearFiltersButton();
+  async function migrateFromLocalStorage(idbStore) {
+    if (await idbStore.getMeta('migratedFromLocalStorage')) return;
 
-    // Lazy-load covers for cards missing them (grid view only)
-    if (currentView === 'grid') {
-      lazyLoadCovers();
-    }
+    const legacyBooks = readJson(STORAGE_KEY, []);
+    const legacyCovers = readJson(COVER_CACHE_KEY, {});
+    await idbStore.importLegacy(Array.isArray(legacyBooks) ? legacyBooks : [], legacyCovers || {});
+
+    // Only free the old keys once the copy has committed
+    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(COVER_CACHE_KEY);
   }
 
-  function updateSectionCount(sectionId, count) {
-    const section = document.getElementById(sectionId);
-    const title = section.querySelector('.section-title');
-    const baseName = title.dataset.baseName || title.textContent.replace(/\s*\(\d+\)$/, '');
-    title.dataset.baseName = baseName;
-    title.innerHTML = `${baseName} <span class="section-count">(${count})</span>`;
+  function readJson(key, fallback) {
+    try {
+      const data = localStorage.getItem(key);
+      return data ? JSON.parse(data) : fallback;
+    } catch {
+      return fallback;
+    }
   }
 
-  function updateClearFiltersButton() {
-    const btn = document.getElementById('clearFiltersBtn');
-    const active = isFilterActive() || filterState.sort !== 'dateAdded';
-    btn.style.display = active ? '' : 'none';
+  async function loadBooks() {
+    try {
+      const loaded = await store.loadBooks();
+      persisted.clear();
+      loaded.forEach(book => persisted.set(book.id, JSON.stringify(book)));
+      return loaded;
+    } catch (err) {
+      logFailure('Failed to load library', err);
+      return [];
+    }
   }
 
-  function clearAllFilters() {
-    filterState.genre = '';
-    filterState.status = '';
-    filterState.format = '';
-    filterState.rating = '';
-    filterState.sort = 'dateAdded';
-    document.getElementById('searchInput').value = '';
+  function saveBooks() {
+    const put = [];
+    const ids = new Set();
+    books.forEach(book => {
+      ids.add(book.id);
+      const json = JSON.stringify(book);
+      if (persisted.get(book.id) !== json) put.push({ book, json });
+    });
+    const remove = [...persisted.keys()].filter(id => !ids.has(id));
 
-    // Reset all pill labels and states
-    const defaults = { filterGenrePill: 'Genre', filterStatusPill: 'Status', filterFormatPill: 'Format', filterRatingPill: 'Rating', sortByPill: 'Sort' };
-    Object.entries(defaults).forEach(([pillId, label]) => {
-      const pill = document.getElementById(pillId);
-      pill.classList.remove('active');
-      pill.childNodes[0].textContent = label + ' ';
+    if (put.length === 0 && remove.length === 0) return Promise.resolve(true);
+
+    // Resolves to whether the write succeeded; failures are reported to the user here.
+    // Records only count as stored once the write succeeds, so a failed one is retried.
+    return store.writeBooks({ put: put.map(p => p.book), remove }).then(() => {
+      put.forEach(({ book, json }) => persisted.set(book.id, json));
+      remove.forEach(id => persisted.delete(id));
+      announceChange([...put.map(p => p.book.id), ...remove]);
+      return true;
+    }, err => {
+      logFailure('Failed to save library', err);
+      showStorageError(err);
+      return false;
     });
+  }
 
-    // Reset selected states in all dropdowns
-    document.querySelectorAll('.filter-dropdown-item').forEach(item => {
-      item.classList.remove('selected');
+  // Cover URLs can always be fetched again, so a failed write is not worth interrupting for
+  function writeCoverEntries(put, remove = []) {
+    if (put.length === 0 && remove.length === 0) return;
+    store.writeCovers(put, remove).catch(err => {
+      logFailure(isQuotaError(err) ? 'Storage full — cover not cached' : 'Failed to cache cover', err);
     });
-    // Re-select the "Date Added" sort default
-    const sortDropdown = document.getElementById('sortByDropdown');
-    const dateAddedItem = sortDropdown.querySelector('[data-value="dateAdded"]');
-    if (dateAddedItem) dateAddedItem.classList.add('selected');
+  }
 
-    renderAll();
+  function isQuotaError(err) {
+    return !!err && (
+      err.name === 'QuotaExceededError' ||
+      err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      err.code === 22 ||
+      err.code === 1014
+    );
   }
 
-  function lazyLoadCovers() {
-    const cards = document.querySelectorAll('[data-needs-cover="true"]');
-    if (cards.length === 0) return;
+  // ---- Book Schema ----
+  //
+  // The stored library, exports and imports carry a schema version. To change
+  // the shape of a book, bump SCHEMA_VERSION and append a migrator:
+  // MIGRATORS[n] takes a book at version n and returns it at version n + 1.
+  // Migrators must not mutate their input.
+
+  const SCHEMA_VERSION = 6;
+
+  // Status names used by earlier versions of the app and by hand-edited exports
+  const LEGACY_STATUSES = {
+    'want-to-buy': 'wishlist',
+    'want-to-read': 'wishlist',
+    'owned': 'up-next',
+    'upnext': 'up-next',
+    'currently-reading': 'reading',
+    'paused': 'on-hold',
+    'onhold': 'on-hold',
+    'completed': 'finished',
+    'read': 'finished'
+  };
 
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const card = entry.target;
-          observer.unobserve(card);
-          const bookId = card.dataset.id;
-          const book = books.find(b => b.id === bookId);
-          if (!book) return;
-          fetchCoverForBook(book).then(url => {
-            if (url) {
-              const coverDiv = card.querySelector('.book-card-cover');
-              if (coverDiv) {
-                const img = document.createElement('img');
-                img.src = url;
-                img.alt = book.title;
-                img.loading = 'lazy';
-                img.onerror = function() { this.remove(); };
-                const placeholder = coverDiv.querySelector('.placeholder-cover');
-                if (placeholder) placeholder.replaceWith(img);
-              }
-            }
-            card.removeAttribute('data-needs-cover');
-          });
-        }
-      });
-    }, { rootMargin: '200px' });
+  const MIGRATORS = [
+    // 0 -> 1: fill in missing fields and normalize loosely typed values
+    (book) => ({
+      ...book,
+      id: book.id || generateId(),
+      title: String(book.title || '').trim(),
+      author: String(book.author || '').trim(),
+      genre: book.genre || '',
+      yearPublished: toNumberOrNull(book.yearPublished),
+      pageCount: toNumberOrNull(book.pageCount),
+      coverImage: book.coverImage || '',
+      format: book.format || '',
+      status: LEGACY_STATUSES[book.status] || book.status || 'up-next',
+      datePurchased: book.datePurchased || '',
+      dateStarted: book.dateStarted || '',
+      dateCompleted: book.dateCompleted || '',
+      currentPage: toNumberOrNull(book.currentPage),
+      rating: toNumberOrNull(book.rating),
+      favorite: book.favorite === true || book.favorite === 'true',
+      tags: normalizeTags(book.tags),
+      recommendedBy: book.recommendedBy || '',
+      notes: book.notes || '',
+      description: book.description || '',
+      dateAdded: book.dateAdded || today()
+    }),
+    // 1 -> 2: soft delete — '' for live books, an ISO timestamp for trashed ones
+    (book) => ({
+      ...book,
+      deletedAt: book.deletedAt || ''
+    }),
+    // 2 -> 3: per-book change log
+    (book) => ({
+      ...book,
+      history: Array.isArray(book.history) ? book.history : []
+    }),
+    // 3 -> 4: ISBN (digits and X only; '' when unknown)
+    (book) => ({
+      ...book,
+      isbn: normalizeIsbn(book.isbn)
+    }),
+    // 4 -> 5: Kindle highlights and notes ({ type, text, page, location, date })
+    (book) => ({
+      ...book,
+      highlights: Array.isArray(book.highlights) ? book.highlights : []
+    }),
+    // 5 -> 6: when a borrowed copy is due back (ISO date or '')
+    (book) => ({
+      ...book,
+      loanDueDate: book.loanDueDate || ''
+    })
+  ];
 
-    cards.forEach(card => observer.observe(card));
+  // Labels for book fields, used wherever a field is named in the UI
+  const FIELD_LABELS = {
+    title: 'Title',
+    author: 'Author',
+    genre: 'Genre',
+    yearPublished: 'Year Published',
+    pageCount: 'Page Count',
+    coverImage: 'Cover Image',
+    format: 'Format',
+    status: 'Status',
+    datePurchased: 'Date Purchased',
+    dateStarted: 'Date Started',
+    dateCompleted: 'Date Completed',
+    currentPage: 'Current Page',
+    rating: 'Rating',
+    favorite: 'Top Pick',
+    tags: 'Tags',
+    recommendedBy: 'Recommended By',
+    notes: 'Notes',
+    description: 'Description',
+    dateAdded: 'Date Added',
+    deletedAt: 'Deleted',
+    isbn: 'ISBN',
+    highlights: 'Highlights',
+    loanDueDate: 'Loan Due Date'
+  };
+
+  // Builds a new book with every current field defaulted
+  function createBook(fields) {
+    return migrateBooks([fields], 0)[0];
   }
 
-  function toggleSection(id, count) {
-    const el = document.getElementById(id);
-    const hasFilters = isFilterActive();
-    if (count === 0 && hasFilters) {
-      el.classList.add('hidden');
-    } else {
-      el.classList.remove('hidden');
+  function migrateBooks(list, fromVersion) {
+    let result = list;
+    for (let v = fromVersion || 0; v < SCHEMA_VERSION; v++) {
+      result = result.map(MIGRATORS[v]);
     }
+    return result;
   }
 
-  function isFilterActive() {
-    return document.getElementById('searchInput').value.trim() !== '' ||
-      filterState.genre !== '' ||
-      filterState.status !== '' ||
-      filterState.format !== '' ||
-      filterState.rating !== '';
+  // Brings the stored library up to SCHEMA_VERSION and records the new version.
+  // Resolves to false, touching nothing, when a newer version of the app saved it.
+  async function upgradeStoredBooks() {
+    const version = (await store.getMeta('schemaVersion')) || 0;
+    if (version > SCHEMA_VERSION) return false;
+    if (version < SCHEMA_VERSION) {
+      books = migrateBooks(books, version);
+      await saveBooks();
+    }
+    await store.setMeta('schemaVersion', SCHEMA_VERSION);
+    return true;
   }
 
-  function renderGrid(gridId, bookList, emptyMsg) {
-    const grid = document.getElementById(gridId);
-    grid.classList.remove('empty', 'list-view-active');
-    grid.removeAttribute('data-empty-message');
-
-    if (bookList.length === 0) {
-      if (isFilterActive()) {
-        grid.innerHTML = '<div class="empty-state">No books match your filters. <a href="#" class="clear-filters-link">Clear filters</a></div>';
-        grid.querySelector('.clear-filters-link').addEventListener('click', (e) => {
-          e.preventDefault();
-          clearAllFilters();
-        });
-      } else {
-        grid.innerHTML = '';
-        grid.classList.add('empty');
-        grid.setAttribute('data-empty-message', emptyMsg);
+  // Accepts a bare array (schema version 0) or an export envelope
+  // ({ schemaVersion, books }) and returns the books at the current version.
+  // Entries that aren't objects are left out and added to `errors` as
+  // { row, reasons }, numbered from 1.
+  function parseLibraryJson(data, errors = []) {
+    const records = (list) => list.filter((entry, i) => {
+      if (entry && typeof entry === 'object' && !Array.isArray(entry)) return true;
+      errors.push({ row: i + 1, reasons: [`${JSON.stringify(entry).slice(0, 40)} isn't a book record`] });
+      return false;
+    });
+    if (Array.isArray(data)) return migrateBooks(records(data), 0);
+    if (data && Array.isArray(data.books)) {
+      const version = parseInt(data.schemaVersion) || 0;
+      if (version > SCHEMA_VERSION) {
+        throw new Error(`This file was exported by a newer version of the app (schema v${version})`);
       }
-      return;
+      return migrateBooks(records(data.books), version);
     }
+    throw new Error('Invalid format — expected an array of books');
+  }
 
-    grid.innerHTML = bookList.map(book => createBookCard(book)).join('');
+  function toNumberOrNull(value) {
+    if (value == null || value === '') return null;
+    const n = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(n) ? n : null;
+  }
 
-    // Bind click events
-    grid.querySelectorAll('.book-card').forEach(card => {
-      card.addEventListener('click', () => showBookDetail(card.dataset.id));
-    });
+  // Strips hyphens, spaces and spreadsheet quoting (="0441172717")
+  function normalizeIsbn(value) {
+    return String(value || '').toUpperCase().replace(/[^0-9X]/g, '');
   }
 
-  function renderList(gridId, bookList, emptyMsg) {
-    const grid = document.getElementById(gridId);
-    grid.classList.remove('empty');
-    grid.removeAttribute('data-empty-message');
-    grid.classList.add('list-view-active');
+  function normalizeTags(tags) {
+    if (Array.isArray(tags)) return tags.map(t => String(t).trim()).filter(Boolean);
+    if (typeof tags === 'string') return tags.split(',').map(t => t.trim()).filter(Boolean);
+    return [];
+  }
 
-    if (bookList.length === 0) {
-      if (isFilterActive()) {
-        grid.innerHTML = '<div class="empty-state">No books match your filters. <a href="#" class="clear-filters-link">Clear filters</a></div>';
-        grid.querySelector('.clear-filters-link').addEventListener('click', (e) => {
-          e.preventDefault();
-          clearAllFilters();
-        });
-      } else {
-        grid.innerHTML = '';
-        grid.classList.add('empty');
-        grid.setAttribute('data-empty-message', emptyMsg);
+  // ---- Validation ----
+  //
+  // Checks books against the schema above. Migrators only run on data from an
+  // older schema version, so a current-version file (or stored record) with a
+  // string rating or an unknown status would otherwise go straight through.
+  // Every check also knows its repair: coerce the type, fill the default, or map
+  // the value onto a known one. A repaired book always passes checkBook().
+
+  const TEXT_FIELDS = ['genre', 'coverImage', 'recommendedBy', 'notes', 'description'];
+  // Any other field that's simply absent gets its default without a report
+  const REQUIRED_FIELDS = ['id', 'title', 'author', 'status'];
+
+  // Returns { problems: [{ field, message, lossy }], repaired }. A lossy repair
+  // throws away a value that still displays fine (an ISBN of the wrong length,
+  // a negative page count), so it's only applied when the user asks.
+  function checkBook(book) {
+    const problems = [];
+    const repaired = { ...book };
+    const label = (field) => FIELD_LABELS[field] || field;
+    const fix = (field, message, value, lossy = false) => {
+      repaired[field] = value;
+      if (book[field] !== undefined) problems.push({ field, message, lossy });
+      else if (REQUIRED_FIELDS.includes(field)) problems.push({ field, message: `Missing ${label(field).toLowerCase()}` });
+    };
+    const shown = (value) => JSON.stringify(value) ?? 'undefined';
+
+    if (typeof book.id !== 'string' || !book.id) fix('id', 'Missing id', generateId());
+
+    ['title', 'author'].forEach(field => {
+      const value = book[field] == null ? '' : String(book[field]).trim();
+      if (!value) fix(field, `Empty ${label(field).toLowerCase()}`, field === 'title' ? 'Untitled' : 'Unknown');
+      else if (value !== book[field]) fix(field, `${label(field)} ${shown(book[field])} isn't trimmed text`, value);
+    });
+
+    TEXT_FIELDS.forEach(field => {
+      if (typeof book[field] !== 'string') {
+        fix(field, `${label(field)} ${shown(book[field])} isn't text`, book[field] == null ? '' : String(book[field]));
       }
-      return;
+    });
+
+    if (!STATUS_LABELS[book.status]) {
+      fix('status', `Unknown status ${shown(book.status)}`, guessMappedValue('status', String(book.status || '')) || 'up-next');
+    }
+    if (book.format !== '' && !VALUE_MAPPED_FIELDS.format[book.format]) {
+      fix('format', `Unknown format ${shown(book.format)}`, guessMappedValue('format', String(book.format || '')));
     }
 
-    // Sort list by listSortState
-    const sorted = [...bookList].sort((a, b) => {
-      let cmp = 0;
-      switch (listSortState.column) {
-        case 'title': cmp = (a.title || '').localeCompare(b.title || ''); break;
-        case 'author': cmp = (a.author || '').localeCompare(b.author || ''); break;
-        case 'genre': cmp = (a.genre || '').localeCompare(b.genre || ''); break;
-        case 'rating': cmp = (a.rating || 0) - (b.rating || 0); break;
-        case 'status': cmp = (a.status || '').localeCompare(b.status || ''); break;
-        case 'format': cmp = (a.format || '').localeCompare(b.format || ''); break;
-        default: cmp = (a.title || '').localeCompare(b.title || '');
-      }
-      return listSortState.direction === 'desc' ? -cmp : cmp;
+    ['yearPublished', 'pageCount', 'currentPage'].forEach(field => {
+      const value = book[field];
+      if (value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0)) return;
+      const n = toNumberOrNull(value);
+      const isNumber = typeof value === 'number' && Number.isFinite(value);
+      fix(field, `${label(field)} ${shown(value)} isn't ${isNumber ? 'zero or more' : 'a number'}`, n != null && n >= 0 ? n : null, isNumber);
     });
 
-    const arrow = (col) => {
-      if (listSortState.column !== col) return '';
-      return listSortState.direction === 'asc' ? ' &#9650;' : ' &#9660;';
-    };
-    const activeClass = (col) => listSortState.column === col ? ' sort-active' : '';
+    if (book.rating !== null && !(typeof book.rating === 'number' && book.rating >= 1 && book.rating <= 5)) {
+      const n = toNumberOrNull(book.rating);
+      fix('rating', `Rating ${shown(book.rating)} isn't a number from 1 to 5`, n == null || n <= 0 ? null : Math.min(5, Math.max(1, n)),
+        typeof book.rating === 'number' && Number.isFinite(book.rating));
+    }
 
-    let html = `<table class="book-list-table">
-      <thead><tr>
-        <th class="book-list-col-title${activeClass('title')}" data-sort-col="title">Title${arrow('title')}</th>
-        <th class="book-list-col-author${activeClass('author')}" data-sort-col="author">Author${arrow('author')}</th>
-        <th class="book-list-col-genre${activeClass('genre')}" data-sort-col="genre">Genre${arrow('genre')}</th>
-        <th class="book-list-col-rating${activeClass('rating')}" data-sort-col="rating">Rating${arrow('rating')}</th>
-        <th class="book-list-col-status${activeClass('status')}" data-sort-col="status">Status${arrow('status')}</th>
-        <th class="book-list-col-format${activeClass('format')}" data-sort-col="format">Format${arrow('format')}</th>
-        <th class="book-list-col-amazon"></th>
-      </tr></thead><tbody>`;
-
-    sorted.forEach(book => {
-      const ratingStr = book.rating ? starsHtml(book.rating) : '<span style="color:var(--color-text-muted)">—</span>';
-      const statusLabel = STATUS_LABELS[book.status] || book.status;
-      html += `<tr class="book-list-row" data-id="${book.id}">
-        <td class="book-list-col-title">${escapeHtml(book.title)}</td>
-        <td class="book-list-col-author">${escapeHtml(book.author)}</td>
-        <td class="book-list-col-genre">${escapeHtml(book.genre || '')}</td>
-        <td class="book-list-col-rating">${ratingStr}</td>
-        <td class="book-list-col-status"><span class="book-list-status-badge">${escapeHtml(statusLabel)}</span></td>
-        <td class="book-list-col-format">${escapeHtml(book.format || '')}</td>
-        <td class="book-list-col-amazon"><a href="${amazonSearchUrl(book)}" target="_blank" rel="noopener noreferrer" class="amazon-link" title="Find on Amazon" onclick="event.stopPropagation()">${AMAZON_ICON_SVG}</a></td>
-      </tr>`;
+    if (typeof book.favorite !== 'boolean') {
+      fix('favorite', `Top Pick ${shown(book.favorite)} isn't true/false`, book.favorite === 'true' || book.favorite === 1);
+    }
+    if (!Array.isArray(book.tags) || book.tags.some(t => typeof t !== 'string')) {
+      fix('tags', `Tags ${shown(book.tags)} isn't a list of text`, normalizeTags(book.tags));
+    }
+    if (!Array.isArray(book.history)) fix('history', 'Missing change history', []);
+
+    DATE_FIELDS.forEach(field => {
+      const value = book[field];
+      if (value === '' && field !== 'dateAdded') return;
+      if (isIsoDate(value)) return;
+      const date = typeof value === 'string' ? parseDateValue(value) : '';
+      fix(field, `${label(field)} ${shown(value)} isn't a YYYY-MM-DD date`, date || (field === 'dateAdded' ? today() : ''));
     });
+    // Keep a trashed book in the Trash even if its timestamp is unreadable
+    if (book.deletedAt !== '' && (typeof book.deletedAt !== 'string' || isNaN(Date.parse(book.deletedAt)))) {
+      fix('deletedAt', `Deleted ${shown(book.deletedAt)} isn't a timestamp`, book.deletedAt ? new Date().toISOString() : '');
+    }
 
-    html += '</tbody></table>';
-    grid.innerHTML = html;
+    const isbn = normalizeIsbn(book.isbn);
+    if (typeof book.isbn !== 'string' || (book.isbn !== '' && (isbn !== book.isbn || (isbn.length !== 10 && isbn.length !== 13)))) {
+      const valid = isbn.length === 10 || isbn.length === 13;
+      fix('isbn', `ISBN ${shown(book.isbn)} isn't 10 or 13 digits`, valid ? isbn : '', !valid && isbn !== '');
+    }
 
-    // Bind row clicks
-    grid.querySelectorAll('.book-list-row').forEach(row => {
-      row.addEventListener('click', () => showBookDetail(row.dataset.id));
+    const isHighlight = (h) => h && typeof h === 'object' && typeof h.text === 'string' && h.text !== '';
+    if (!Array.isArray(book.highlights) || !book.highlights.every(isHighlight)) {
+      fix('highlights', 'Highlights include entries with no text', Array.isArray(book.highlights) ? book.highlights.filter(isHighlight) : []);
+    }
+
+    return { problems, repaired };
+  }
+
+  // Checks a whole list, including ids used more than once.
+  // Returns { books: repaired list, reports: [{ book, problems }] } for books with problems.
+  function checkLibrary(list) {
+    const seenIds = new Set();
+    const reports = [];
+    const repairedList = list.map(book => {
+      const { problems, repaired } = checkBook(book && typeof book === 'object' ? book : {});
+      if (seenIds.has(repaired.id)) {
+        problems.push({ field: 'id', message: `Id "${repaired.id}" is used by another book` });
+        repaired.id = generateId();
+      }
+      seenIds.add(repaired.id);
+      if (problems.length) reports.push({ book: repaired, problems });
+      return repaired;
     });
+    return { books: repairedList, reports };
+  }
 
-    // Bind column header clicks for sorting
-    grid.querySelectorAll('th[data-sort-col]').forEach(header => {
-      header.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const col = header.dataset.sortCol;
-        if (listSortState.column === col) {
-          listSortState.direction = listSortState.direction === 'asc' ? 'desc' : 'asc';
-        } else {
-          listSortState.column = col;
-          listSortState.direction = 'asc';
+  function problemListHtml(reports) {
+    return reports.map(({ book, problems }) => `
+      <li>
+        <strong>${escapeHtml(book.title)}</strong> <span class="import-muted">— ${escapeHtml(book.author)}</span>
+        <ul>${problems.map(p => `<li>${escapeHtml(p.message)}</li>`).join('')}</ul>
+      </li>`).join('');
+  }
+
+  function openValidationModal() {
+    renderValidation();
+    openModal('validationModal');
+  }
+
+  function renderValidation() {
+    const { reports } = checkLibrary(books);
+    const count = reports.reduce((n, r) => n + r.problems.length, 0);
+    document.getElementById('validationSummary').textContent = reports.length
+      ? `${count} problem${count === 1 ? '' : 's'} in ${reports.length} book${reports.length === 1 ? '' : 's'}. Repairs coerce values to the right type, fill in defaults and map unknown values.`
+      : `All ${books.length} books are valid.`;
+    document.getElementById('validationList').innerHTML = problemListHtml(reports);
+    document.getElementById('repairAllBtn').disabled = reports.length === 0;
+  }
+
+  // With safeOnly, lossy repairs are skipped and those values kept as they are.
+  // Returns the commit's promise, or null when there was nothing to repair.
+  function repairLibrary({ safeOnly = false } = {}) {
+    const { books: repairedList, reports } = checkLibrary(books);
+    const problemsOf = new Map(reports.map(r => [r.book, r.problems]));
+    const result = repairedList.map((book, i) => {
+      if (!safeOnly) return book;
+      const kept = { ...book };
+      (problemsOf.get(book) || []).filter(p => p.lossy).forEach(p => { kept[p.field] = books[i][p.field]; });
+      return kept;
+    });
+    const count = result.filter((book, i) => JSON.stringify(book) !== JSON.stringify(books[i])).length;
+    if (count === 0) return null;
+    takeSnapshot('Before repairing data');
+    const committed = commitChange(`Repaired ${count} book${count === 1 ? '' : 's'}`, () => {
+      books = result.map((book, i) => {
+        if (books[i].id === book.id && JSON.stringify(books[i]) !== JSON.stringify(book)) {
+          recordHistory(books[i], book, 'repair');
         }
-        renderAll();
+        return book;
       });
     });
+    renderValidation();
+    return committed;
   }
 
-  function createBookCard(book) {
-    let needsCover = false;
-    let coverHtml;
+  // Run after load, so values the app can't use never reach rendering or the
+  // exporters. Like Repair All: a snapshot first, a history entry per book, and
+  // undoable. Lossy repairs are left for Check Data, and just reported.
+  function repairStoredProblems() {
+    const committed = repairLibrary({ safeOnly: true });
+    const { reports } = checkLibrary(books);
+    if (reports.length === 0) return;
+    // After the commit's own toast, which would otherwise replace this one
+    Promise.resolve(committed).then(() => {
+      showToast(`${reports.length} book${reports.length === 1 ? ' has' : 's have'} data problems`, {
+        label: 'Review',
+        onClick: openValidationModal
+      });
+    });
+  }
 
-    if (book.coverImage) {
-      coverHtml = `<img src="${escapeHtml(book.coverImage)}" alt="${escapeHtml(book.title)}" loading="lazy" onerror="this.parentElement.innerHTML='${placeholderCoverInline()}'">`;
-    } else {
-      // Check cover cache
-      const cache = loadCoverCache();
-      const cacheKey = `${book.title}|||${book.author}`;
-      if (cacheKey in cache && cache[cacheKey]) {
-        coverHtml = `<img src="${escapeHtml(cache[cacheKey])}" alt="${escapeHtml(book.title)}" loading="lazy" onerror="this.parentElement.innerHTML='${placeholderCoverInline()}'">`;
-      } else if (!(cacheKey in cache)) {
-        coverHtml = `<div class="placeholder-cover">${BOOK_ICON_SVG}</div>`;
-        needsCover = true;
-      } else {
-        coverHtml = `<div class="placeholder-cover">${BOOK_ICON_SVG}</div>`;
+  // ---- Undo / Redo ----
+  //
+  // Library mutations go through commitChange(), which runs the mutation and
+  // records a command: the before/after JSON (and array position) of every book
+  // it added, changed or removed. Undo and redo replay one side of that diff.
+
+  const UNDO_LIMIT = 50;
+  const undoStack = [];
+  const redoStack = [];
+
+  function commitChange(label, mutate) {
+    const before = new Map(books.map((book, index) => [book.id, { json: JSON.stringify(book), index }]));
+    mutate();
+
+    const changes = [];
+    const afterIds = new Set();
+    books.forEach((book, index) => {
+      afterIds.add(book.id);
+      const json = JSON.stringify(book);
+      const prev = before.get(book.id);
+      if (!prev || prev.json !== json) {
+        changes.push({ id: book.id, before: prev ? prev.json : null, beforeIndex: prev ? prev.index : -1, after: json, afterIndex: index });
       }
-    }
-
-    const genreHtml = book.genre ? `<span class="book-card-genre">${escapeHtml(book.genre)}</span>` : '';
-
-    let ratingHtml = '';
-    if (book.status === 'finished' && book.rating) {
-      ratingHtml = `<div class="book-card-rating">${starsHtml(book.rating)}</div>`;
-    }
+    });
+    before.forEach((prev, id) => {
+      if (!afterIds.has(id)) {
+        changes.push({ id, before: prev.json, beforeIndex: prev.index, after: null, afterIndex: -1 });
+      }
+    });
 
-    let progressHtml = '';
-    if ((book.status === 'reading' || book.status === 'on-hold') && book.currentPage && book.pageCount) {
-      const pct = Math.min(100, Math.round((book.currentPage / book.pageCount) * 100));
-      progressHtml = `
-        <div class="progress-bar"><div class="progress-bar-fill" style="width:${pct}%"></div></div>
-        <div class="progress-text">${book.currentPage} / ${book.pageCount} pages</div>`;
+    if (changes.length > 0) {
+      undoStack.push({ label, changes });
+      if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+      redoStack.length = 0;
     }
 
-    return `
-      <div class="book-card" data-id="${book.id}"${needsCover ? ' data-needs-cover="true"' : ''}>
-        <div class="book-card-cover">
-          ${coverHtml}
-        </div>
-        <div class="book-card-info">
-          <div class="book-card-title">${escapeHtml(book.title)}</div>
-          <div class="book-card-author">${escapeHtml(book.author)}</div>
-          ${genreHtml}
-          <div class="book-card-bottom">
-            <div class="book-card-bottom-left">${ratingHtml}${progressHtml}</div>
-            <a href="${amazonSearchUrl(book)}" target="_blank" rel="noopener noreferrer" class="amazon-link" title="Find on Amazon" onclick="event.stopPropagation()">${AMAZON_ICON_SVG}</a>
-          </div>
-        </div>
-      </div>`;
+    refreshLibraryViews();
+    return saveBooks().then(saved => {
+      // On failure the storage error dialog has already replaced the success message
+      if (!saved) return;
+      showToast(label, changes.length > 0 ? { label: 'Undo', onClick: undo } : null);
+      takeDailySnapshot();
+    });
   }
 
-  function placeholderCoverInline() {
-    // Escaped version for onerror inline HTML
-    return '<div class=&quot;placeholder-cover&quot;>' + BOOK_ICON_SVG.replace(/"/g, '&quot;') + '</div>';
+  function undo() {
+    const command = undoStack.pop();
+    if (!command) {
+      showToast('Nothing to undo');
+      return;
+    }
+    redoStack.push(command);
+    applyChanges(command.changes, 'before').then(saved => {
+      if (saved) showToast(`Undid: ${command.label}`, { label: 'Redo', onClick: redo });
+    });
   }
 
-  function starsHtml(rating) {
-    let html = '<div class="stars">';
-    for (let i = 1; i <= 5; i++) {
-      html += `<span class="star ${i <= rating ? 'filled' : ''}">&#9733;</span>`;
+  function redo() {
+    const command = redoStack.pop();
+    if (!command) {
+      showToast('Nothing to redo');
+      return;
     }
-    html += '</div>';
-    return html;
+    undoStack.push(command);
+    applyChanges(command.changes, 'after').then(saved => {
+      if (saved) showToast(`Redid: ${command.label}`, { label: 'Undo', onClick: undo });
+    });
   }
 
-  function updateStats() {
-    const stats = document.getElementById('headerStats');
-    const total = books.length;
-    const completed = books.filter(b => b.status === 'finished').length;
-    const reading = books.filter(b => b.status === 'reading').length;
-
-    stats.innerHTML = `
-      <div class="stat-item"><span class="stat-number">${total}</span><span class="stat-label">Books</span></div>
-      <div class="stat-item"><span class="stat-number">${completed}</span><span class="stat-label">Read</span></div>
-      <div class="stat-item"><span class="stat-number">${reading}</span><span class="stat-label">Reading</span></div>
-    `;
-  }
+  // Restores each changed book to one side ('before' or 'after') of a command
+  function applyChanges(changes, side) {
+    const indexKey = side + 'Index';
+    const inserts = [];
+
+    changes.forEach(change => {
+      const idx = books.findIndex(b => b.id === change.id);
+      if (change[side] == null) {
+        if (idx !== -1) books.splice(idx, 1);
+      } else if (idx !== -1) {
+        books[idx] = JSON.parse(change[side]);
+      } else {
+        inserts.push(change);
+      }
+    });
 
-  // ---- Filtering & Sorting ----
+    inserts
+      .sort((a, b) => a[indexKey] - b[indexKey])
+      .forEach(change => {
+        books.splice(Math.min(change[indexKey], books.length), 0, JSON.parse(change[side]));
+      });
 
-  function getFilteredBooks() {
-    const query = document.getElementById('searchInput').value.toLowerCase().trim();
-    const genre = filterState.genre;
-    const status = filterState.status;
-    const format = filterState.format;
-    const rating = filterState.rating;
-    const sortBy = filterState.sort;
+    const saving = saveBooks();
+    refreshLibraryViews();
 
-    let result = books.filter(book => {
-      if (query && !book.title.toLowerCase().includes(query) && !book.author.toLowerCase().includes(query)) return false;
-      if (genre && book.genre !== genre) return false;
-      if (status && book.status !== status) return false;
-      if (format && book.format !== format) return false;
-      if (rating === 'none' && book.rating != null) return false;
-      if (rating && rating !== 'none' && book.rating !== parseInt(rating)) return false;
-      return true;
-    });
+    // Keep an open detail modal in step with the restored data
+    if (currentDetailId && isModalOpen('bookDetailModal')) {
+      if (books.some(b => b.id === currentDetailId)) {
+        showBookDetail(currentDetailId);
+      } else {
+        closeModal('bookDetailModal');
+      }
+    }
+    return saving;
+  }
 
-    result.sort((a, b) => {
-      switch (sortBy) {
-        case 'title': return a.title.localeCompare(b.title);
-        case 'author': return a.author.localeCompare(b.author);
-        case 'rating': return (b.rating || 0) - (a.rating || 0);
-        case 'yearPublished': return (b.yearPublished || 0) - (a.yearPublished || 0);
-        case 'dateAdded':
-        default: return (b.dateAdded || '').localeCompare(a.dateAdded || '');
+  // Drops commands touching books another tab has since changed; replaying
+  // them would silently overwrite that tab's edits.
+  function forgetUndoFor(ids) {
+    [undoStack, redoStack].forEach(stack => {
+      for (let i = stack.length - 1; i >= 0; i--) {
+        if (stack[i].changes.some(c => ids.includes(c.id))) stack.splice(i, 1);
       }
     });
+  }
 
-    return result;
+  function refreshLibraryViews() {
+    populateGenreFilter();
+    renderAll();
+    updateStats();
+    if (isModalOpen('trashModal')) renderTrash();
+    if (isModalOpen('duplicatesModal')) renderDuplicates();
+    if (isModalOpen('validationModal')) renderValidation();
   }
 
-  const ALL_GENRES = [
-    'Art', 'Artificial Intelligence', 'Biography', 'Business', 'Classics',
-    'Comics / Graphic Novels', 'Cookbook', 'Creativity', 'Cryptocurrency',
-    'Design', 'Fairy Tale', 'Fantasy', 'Fiction', 'Food', 'Health', 'History',
-    'Horror', 'Humor', 'Leadership / Management', 'Marine Life / Ocean',
-    'Military History', 'Money', 'Music', 'Mystery', 'Non-Fiction', 'Novel',
-    'Personal Development', 'Philosophy', 'Poetry', 'Politics / Current Affairs',
-    'Psychology', 'Real Estate Investing', 'Religion and Spirituality', 'Romance',
-    'Science', 'Science Fiction', 'Self-Help', 'Technology', 'Thriller', 'Travel',
-    'True Crime', 'UX'
-  ];
+  // ---- Trash ----
+  //
+  // Deleting a book sets `deletedAt` instead of removing it. Trashed books are
+  // kept in `books` (so undo, export and storage treat them like any other
+  // record) but hidden from every view; use liveBooks() for anything user-facing.
 
-  function populateGenreFilter() {
-    const dropdown = document.getElementById('filterGenreDropdown');
-    let html = '<button class="filter-dropdown-item" data-value="">All Genres</button>';
-    ALL_GENRES.forEach(g => {
-      html += `<button class="filter-dropdown-item" data-value="${escapeHtml(g)}">${escapeHtml(g)}</button>`;
-    });
-    dropdown.innerHTML = html;
+  const DEFAULT_TRASH_RETENTION_DAYS = 30;
+  let trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS;
 
-    // Bind genre dropdown items
-    bindDropdownItems(dropdown, 'genre', 'filterGenrePill');
+  function liveBooks() {
+    return books.filter(b => !b.deletedAt);
   }
 
-  // ---- Pill-Chip Filter Logic ----
+  function trashedBooks() {
+    return books
+      .filter(b => b.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
 
-  function bindDropdownItems(dropdown, filterKey, pillId) {
-    dropdown.querySelectorAll('.filter-dropdown-item').forEach(item => {
-      item.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const value = item.dataset.value;
-        filterState[filterKey] = value;
+  async function loadTrashRetention() {
+    const days = await store.getMeta('trashRetentionDays');
+    return days == null ? DEFAULT_TRASH_RETENTION_DAYS : days;
+  }
 
-        // Update selected state in dropdown
-        dropdown.querySelectorAll('.filter-dropdown-item').forEach(i => i.classList.remove('selected'));
-        item.classList.add('selected');
+  function trashExpiry(book) {
+    if (!trashRetentionDays) return null;
+    return new Date(new Date(book.deletedAt).getTime() + trashRetentionDays * 86400000);
+  }
 
-        // Update pill active state and label
-        const pill = document.getElementById(pillId);
-        closeAllDropdowns();
+  // Runs on load; not recorded for undo since nothing the user did triggered it.
+  // A book whose expiry can't be worked out is kept.
+  function purgeExpiredTrash() {
+    if (!trashRetentionDays) return;
+    const now = Date.now();
+    const kept = books.filter(b => !b.deletedAt || !(trashExpiry(b).getTime() <= now));
+    if (kept.length !== books.length) {
+      books = kept;
+      saveBooks();
+    }
+  }
 
-        if (value) {
-          pill.classList.add('active');
-          // Show selected value in pill text
-          const label = filterKey === 'sort' ? 'Sort' : item.textContent.replace('✓ ', '');
-          pill.childNodes[0].textContent = filterKey === 'sort' ? `Sort: ${item.textContent.replace('✓ ', '')} ` : `${label} `;
-        } else {
-          pill.classList.remove('active');
-          const defaultLabels = { genre: 'Genre', status: 'Status', format: 'Format', rating: 'Rating', sort: 'Sort' };
-          pill.childNodes[0].textContent = defaultLabels[filterKey] + ' ';
-        }
+  function openTrashModal() {
+    document.getElementById('trashRetention').value = String(trashRetentionDays);
+    renderTrash();
+    openModal('trashModal');
+  }
 
-        renderAll();
+  function renderTrash() {
+    const list = document.getElementById('trashList');
+    const trashed = trashedBooks();
+    document.getElementById('emptyTrashBtn').disabled = trashed.length === 0;
+
+    if (trashed.length === 0) {
+      list.innerHTML = '<div class="empty-state">Trash is empty</div>';
+      return;
+    }
+
+    list.innerHTML = trashed.map(book => {
+      const expiry = trashExpiry(book);
+      const daysLeft = expiry ? Math.max(0, Math.ceil((expiry.getTime() - Date.now()) / 86400000)) : null;
+      const expiryStr = daysLeft == null ? '' : ` · ${daysLeft} day${daysLeft === 1 ? '' : 's'} left`;
+      return `
+        <div class="trash-item" data-id="${book.id}">
+          <div class="trash-item-info">
+            <div class="trash-item-title">${escapeHtml(book.title)}</div>
+            <div class="trash-item-meta">${escapeHtml(book.author)} · Deleted ${book.deletedAt.split('T')[0]}${expiryStr}</div>
+          </div>
+          <button class="btn btn-subtle btn-small" data-action="restore">Restore</button>
+          <button class="btn btn-danger btn-small" data-action="purge">Delete Forever</button>
+        </div>`;
+    }).join('');
+
+    list.querySelectorAll('.trash-item').forEach(item => {
+      const id = item.dataset.id;
+      item.querySelector('[data-action="restore"]').addEventListener('click', () => {
+        commitChange('Book restored', () => {
+          books.find(b => b.id === id).deletedAt = '';
+        });
+      });
+      item.querySelector('[data-action="purge"]').addEventListener('click', () => {
+        commitChange('Book permanently deleted', () => {
+          books = books.filter(b => b.id !== id);
+        });
       });
     });
   }
 
-  function toggleDropdown(pillId, dropdownId) {
-    const pill = document.getElementById(pillId);
-    const dropdown = document.getElementById(dropdownId);
-    const isOpen = dropdown.classList.contains('open');
-
-    closeAllDropdowns();
+  function emptyTrash() {
+    const count = trashedBooks().length;
+    showConfirmDialog('Empty Trash', `Permanently delete ${count} book${count === 1 ? '' : 's'}?`, () => {
+      takeSnapshot('Before emptying Trash');
+      commitChange('Trash emptied', () => {
+        books = liveBooks();
+      });
+    });
+  }
 
-    if (!isOpen) {
-      dropdown.classList.add('open');
-      pill.classList.add('open');
-    }
+  function setTrashRetention(days) {
+    trashRetentionDays = days;
+    store.setMeta('trashRetentionDays', days).catch(() => showToast("Couldn't save the Trash setting"));
+    renderTrash();
   }
 
-  function closeAllDropdowns() {
-    document.querySelectorAll('.filter-dropdown').forEach(d => d.classList.remove('open'));
-    document.querySelectorAll('.filter-pill').forEach(p => p.classList.remove('open'));
-    const overflowDropdown = document.getElementById('overflowDropdown');
-    if (overflowDropdown) overflowDropdown.classList.remove('open');
-    const ratingLegend = document.getElementById('ratingLegend');
-    if (ratingLegend) ratingLegend.classList.remove('open');
+  // ---- Snapshots ----
+  //
+  // Rolling copies of the whole library, taken before imports and other bulk
+  // operations and once a day. Each snapshot stores the library as a JSON
+  // string; the oldest are pruned once the backend's count or size limit is hit.
+  // A snapshot that alone exceeds the size limit is refused rather than pruning
+  // every older one to make room.
+
+  const DAILY_SNAPSHOT_MS = 24 * 60 * 60 * 1000;
+  let lastDailySnapshotAt = null;
+  // Saves run one at a time so each dedupes and prunes against the latest list
+  let snapshotQueue = Promise.resolve();
+
+  // Serializes synchronously, so callers can mutate `books` straight after.
+  // Resolves to whether the snapshot was stored (or matched the latest one).
+  function takeSnapshot(reason) {
+    const data = JSON.stringify(books);
+    const snapshot = {
+      id: 's' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      createdAt: new Date().toISOString(),
+      reason,
+      schemaVersion: SCHEMA_VERSION,
+      bookCount: books.length,
+      size: new Blob([data]).size,
+      data
+    };
+    const saved = snapshotQueue.then(() => saveSnapshot(snapshot));
+    snapshotQueue = saved.catch(() => {});
+    return saved.then(() => true, err => {
+      logFailure('Failed to save snapshot', err);
+      return false;
+    });
   }
 
-  // ---- Book Detail Modal ----
+  async function saveSnapshot(snapshot) {
+    const { count, bytes } = store.snapshotLimits;
+    if (snapshot.size > bytes) {
+      throw new Error(`Library is ${formatBytes(snapshot.size)}, over the ${formatBytes(bytes)} backup limit`);
+    }
 
-  function showBookDetail(id) {
-    const book = books.find(b => b.id === id);
-    if (!book) return;
-    currentDetailId = id;
+    const existing = await store.loadSnapshots();
+    existing.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
 
-    const body = document.getElementById('bookDetailBody');
-    const placeholderSvg = BOOK_ICON_SVG;
-    const coverHtml = book.coverImage
-      ? `<img src="${escapeHtml(book.coverImage)}" alt="${escapeHtml(book.title)}" onerror="this.outerHTML='<div class=\\'placeholder-cover\\'>${placeholderSvg.replace(/'/g, "\\'")}</div>'">`
-      : `<div class="placeholder-cover">${placeholderSvg}</div>`;
+    // Nothing changed since the last snapshot — don't store a duplicate
+    if (existing.length > 0 && existing[0].data === snapshot.data) return;
 
-    let ratingHtml = '';
-    if (book.rating) {
-      ratingHtml = `<div class="detail-rating">${starsHtml(book.rating)}</div>`;
+    let total = snapshot.size;
+    const removeIds = [];
+    existing.forEach((s, i) => {
+      total += s.size;
+      if (i + 1 >= count || total > bytes) removeIds.push(s.id);
+    });
+    await store.writeSnapshot(snapshot, removeIds);
+  }
+
+  async function takeDailySnapshot() {
+    if (lastDailySnapshotAt == null) {
+      lastDailySnapshotAt = (await store.getMeta('lastDailySnapshotAt').catch(() => '')) || '';
     }
+    if (lastDailySnapshotAt && Date.now() - new Date(lastDailySnapshotAt).getTime() < DAILY_SNAPSHOT_MS) return;
+    if (books.length === 0) return;
 
-    let badges = [];
+    lastDailySnapshotAt = new Date().toISOString();
+    await takeSnapshot('Daily');
+    await store.setMeta('lastDailySnapshotAt', lastDailySnapshotAt).catch(() => {});
+  }
+
+  async function openBackupsModal() {
+    document.getElementById('backupsList').innerHTML = '<span class="loading"></span>';
+    openModal('backupsModal');
+    await renderBackups();
+  }
+
+  async function renderBackups() {
+    const list = document.getElementById('backupsList');
+    let snapshots;
+    try {
+      snapshots = await store.loadSnapshots();
+    } catch (err) {
+      list.innerHTML = '<div class="empty-state">Could not read backups.</div>';
+      return;
+    }
+    snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    if (snapshots.length === 0) {
+      list.innerHTML = '<div class="empty-state">No backups yet</div>';
+      return;
+    }
+
+    list.innerHTML = snapshots.map(snapshot => `
+      <div class="trash-item" data-id="${snapshot.id}">
+        <div class="trash-item-info">
+          <div class="trash-item-title">${escapeHtml(new Date(snapshot.createdAt).toLocaleString())}</div>
+          <div class="trash-item-meta">${escapeHtml(snapshot.reason)} · ${snapshot.bookCount} books · ${formatBytes(snapshot.size)} · ${escapeHtml(snapshotDiffSummary(snapshot))}</div>
+        </div>
+        <button class="btn btn-subtle btn-small" data-action="download">Download</button>
+        <button class="btn btn-subtle btn-small" data-action="restore">Restore</button>
+      </div>`).join('');
+
+    list.querySelectorAll('.trash-item').forEach(item => {
+      const snapshot = snapshots.find(s => s.id === item.dataset.id);
+      item.querySelector('[data-action="download"]').addEventListener('click', () => downloadSnapshot(snapshot));
+      item.querySelector('[data-action="restore"]').addEventListener('click', () => restoreSnapshot(snapshot));
+    });
+  }
+
+  // Describes how the current library differs from a snapshot
+  function snapshotDiffSummary(snapshot) {
+    const diff = diffBookLists(JSON.parse(snapshot.data), books);
+    const parts = [];
+    if (diff.added) parts.push(`${diff.added} added since`);
+    if (diff.removed) parts.push(`${diff.removed} removed since`);
+    if (diff.changed) parts.push(`${diff.changed} changed since`);
+    return parts.length ? parts.join(', ') : 'Same as now';
+  }
+
+  function diffBookLists(from, to) {
+    const fromById = new Map(from.map(b => [b.id, JSON.stringify(b)]));
+    const toIds = new Set();
+    let added = 0;
+    let changed = 0;
+    to.forEach(book => {
+      toIds.add(book.id);
+      if (!fromById.has(book.id)) added++;
+      else if (fromById.get(book.id) !== JSON.stringify(book)) changed++;
+    });
+    const removed = [...fromById.keys()].filter(id => !toIds.has(id)).length;
+    return { added, removed, changed };
+  }
+
+  function downloadSnapshot(snapshot) {
+    const json = JSON.stringify({ schemaVersion: snapshot.schemaVersion, exportedAt: snapshot.createdAt, books: JSON.parse(snapshot.data) }, null, 2);
+    downloadFile(json, `reading-list-backup-${snapshot.createdAt.split('T')[0]}.json`, 'application/json');
+  }
+
+  function restoreSnapshot(snapshot) {
+    const when = new Date(snapshot.createdAt).toLocaleString();
+    showConfirmDialog('Restore Backup', `Replace your library with the backup from ${when}? Your current library is backed up first.`, () => {
+      const restored = migrateBooks(JSON.parse(snapshot.data), snapshot.schemaVersion);
+      takeSnapshot('Before restoring a backup');
+      closeModal('backupsModal');
+      commitChange(`Restored backup from ${when}`, () => {
+        books = restored;
+      });
+    }, 'Restore');
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // ---- Storage Health ----
+
+  // Blocking dialog for a failed library write. The change is still on screen
+  // but will be lost on reload, so the user has to pick a way forward.
+  function showStorageError(err) {
+    document.getElementById('storageErrorMessage').textContent = isQuotaError(err)
+      ? 'Your browser storage is full, so your last change was not saved. It will be lost when you reload unless you free up space.'
+      : `Your last change could not be saved (${err && err.message ? err.message : 'unknown error'}). It will be lost when you reload.`;
+    openModal('storageErrorModal');
+  }
+
+  async function retrySave() {
+    closeModal('storageErrorModal');
+    if (await saveBooks()) showToast('Changes saved');
+  }
+
+  // Frees storage: the looked-up cover URLs and the offline image bytes
+  async function clearCoverCache() {
+    await clearCoverUrls();
+    await clearCoverImages();
+    renderAll();
+  }
+
+  async function clearCoverUrls() {
+    try {
+      await store.clearCovers();
+    } catch (err) {
+      logFailure('Failed to clear cover cache', err);
+    }
+    coverCache = {};
+  }
+
+  async function openStoragePanel() {
+    document.getElementById('storageUsage').innerHTML = '<span class="loading"></span>';
+    openModal('storageModal');
+    await renderStoragePanel();
+  }
+
+  async function renderStoragePanel() {
+    let snapshots = [];
+    try {
+      snapshots = await store.loadSnapshots();
+    } catch { /* shown as empty */ }
+
+    const live = liveBooks();
+    const trashed = books.length - live.length;
+    const rows = [
+      { label: 'Library', detail: `${live.length} books${trashed ? `, ${trashed} in Trash` : ''}`, bytes: byteSize(JSON.stringify(books)) },
+      { label: 'Cover cache', detail: `${Object.keys(coverCache).length} entries`, bytes: byteSize(JSON.stringify(coverCache)) },
+      { label: 'Cover images', detail: `${Object.keys(coverImageIndex).length} images`, bytes: Object.values(coverImageIndex).reduce((sum, i) => sum + i.size, 0) },
+      { label: 'Backups', detail: `${snapshots.length} snapshots`, bytes: snapshots.reduce((sum, s) => sum + s.size, 0) },
+      { label: 'View preference', detail: currentView, bytes: byteSize(localStorage.getItem('reading-list-view') || '') }
+    ];
+
+    let totalHtml = '';
+    if (navigator.storage && navigator.storage.estimate) {
+      try {
+        const { usage, quota } = await navigator.storage.estimate();
+        const pct = quota ? Math.min(100, Math.round((usage / quota) * 100)) : 0;
+        totalHtml = `
+          <div class="storage-total">
+            <div class="progress-bar"><div class="progress-bar-fill" style="width:${pct}%"></div></div>
+            <div class="progress-text">${formatBytes(usage)} of ${formatBytes(quota)} used (${pct}%)</div>
+          </div>`;
+      } catch { /* estimate is best-effort */ }
+    }
+
+    document.getElementById('storageUsage').innerHTML = `
+      <p class="modal-hint">Stored in ${store.kind === 'indexeddb' ? 'IndexedDB' : 'localStorage (IndexedDB unavailable)'}.</p>
+      ${totalHtml}
+      <table class="storage-table">
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td class="storage-label">${escapeHtml(row.label)}</td>
+              <td class="storage-detail">${escapeHtml(row.detail)}</td>
+              <td class="storage-bytes">${formatBytes(row.bytes)}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  function byteSize(str) {
+    return new Blob([str]).size;
+  }
+
+  // ---- Cross-Tab Sync ----
+  //
+  // After each save the ids of the written books are announced to other open
+  // tabs (BroadcastChannel, or a localStorage ping where that's unavailable).
+  // Receiving tabs re-read just those records and merge them into their own
+  // `books`, so edits to different books in different tabs don't clobber each other.
+
+  const SYNC_CHANNEL = 'harrys-reading-list';
+  const SYNC_KEY = 'reading-list-sync';
+  let syncChannel = null;
+  // Ids announced by other tabs before this one finished loading; null once started
+  let queuedRemoteIds = [];
+
+  // Opened before the load-time writes (migration, repair, Trash purge, seed
+  // data) so those are announced on the same channel other tabs listen on
+  function openSync() {
+    if (window.BroadcastChannel) {
+      syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+      syncChannel.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'books-changed') receiveRemoteChanges(e.data.ids);
+      });
+    } else {
+      window.addEventListener('storage', (e) => {
+        if (e.key !== SYNC_KEY || !e.newValue) return;
+        try {
+          receiveRemoteChanges(JSON.parse(e.newValue).ids);
+        } catch { /* ignore malformed ping */ }
+      });
+    }
+  }
+
+  // Once the library is loaded and rendered, applies what arrived meanwhile
+  function startSync() {
+    const ids = queuedRemoteIds;
+    queuedRemoteIds = null;
+    if (ids.length) applyRemoteChanges([...new Set(ids)]);
+  }
+
+  function receiveRemoteChanges(ids) {
+    if (!Array.isArray(ids)) return;
+    if (queuedRemoteIds) queuedRemoteIds.push(...ids);
+    else applyRemoteChanges(ids);
+  }
+
+  function announceChange(ids) {
+    if (syncChannel) {
+      syncChannel.postMessage({ type: 'books-changed', ids });
+    } else {
+      try {
+        localStorage.setItem(SYNC_KEY, JSON.stringify({ ids, at: Date.now() }));
+      } catch { /* other tabs just won't hear about it */ }
+    }
+  }
+
+  async function applyRemoteChanges(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) return;
+    const records = await store.getBooks(ids);
+    const byId = new Map(records.map(b => [b.id, b]));
+
+    ids.forEach(id => {
+      const remote = byId.get(id);
+      const idx = books.findIndex(b => b.id === id);
+      if (remote) {
+        persisted.set(id, JSON.stringify(remote));
+        if (idx !== -1) books[idx] = remote;
+        else books.push(remote);
+      } else {
+        persisted.delete(id);
+        if (idx !== -1) books.splice(idx, 1);
+      }
+    });
+
+    forgetUndoFor(ids);
+    refreshLibraryViews();
+    warnAboutRemoteEdits(ids);
+  }
+
+  function warnAboutRemoteEdits(ids) {
+    // Detail modal is read-only, so just show the latest data and say why it changed
+    if (isModalOpen('bookDetailModal') && ids.includes(currentDetailId)) {
+      const book = books.find(b => b.id === currentDetailId);
+      if (!book || book.deletedAt) {
+        closeModal('bookDetailModal');
+        showToast('This book was deleted in another tab');
+      } else {
+        showBookDetail(currentDetailId);
+        const notice = document.createElement('div');
+        notice.className = 'sync-notice';
+        notice.textContent = 'This book was just changed in another tab.';
+        document.getElementById('bookDetailBody').prepend(notice);
+      }
+    }
+
+    // Edit form: never overwrite what's being typed; offer to load the latest instead
+    const formId = document.getElementById('formBookId').value;
+    if (isModalOpen('bookFormModal') && formId && ids.includes(formId)) {
+      const book = books.find(b => b.id === formId);
+      const notice = document.getElementById('formSyncNotice');
+      if (!book || book.deletedAt) {
+        notice.textContent = 'This book was deleted in another tab.';
+      } else {
+        notice.innerHTML = 'This book was changed in another tab. Saving will overwrite those changes. <button type="button" class="btn btn-subtle btn-small">Load latest</button>';
+        notice.querySelector('button').addEventListener('click', () => {
+          openEditForm(books.find(b => b.id === formId));
+        });
+      }
+      notice.hidden = false;
+    }
+  }
+
+  // ---- Offline App (Service Worker) ----
+  //
+  // sw.js precaches the app shell. A new deploy installs a new worker that
+  // waits; we show a banner and only switch over (and reload) when asked, so
+  // a tab is never running old code against new files mid-session.
+
+  let reloadingForUpdate = false;
+
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('sw.js').then((reg) => {
+      if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          // No controller means this is the first install, not an update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            showUpdateBanner(worker);
+          }
+        });
+      });
+    }).catch((err) => {
+      logFailure('Service worker registration failed', err);
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!reloadingForUpdate) return;
+      reloadingForUpdate = false;
+      location.reload();
+    });
+  }
+
+  function showUpdateBanner(worker) {
+    const banner = document.getElementById('updateBanner');
+    document.getElementById('updateReloadBtn').onclick = () => {
+      // Another tab may already have switched it over
+      if (worker.state === 'activated') {
+        location.reload();
+        return;
+      }
+      reloadingForUpdate = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+    document.getElementById('updateDismissBtn').onclick = () => {
+      banner.hidden = true;
+    };
+    banner.hidden = false;
+  }
+
+  // Another tab upgraded the database, so this one has closed its connection
+  // and can't save any more; only a reload gets it going again
+  function showDatabaseClosedBanner() {
+    const banner = document.getElementById('updateBanner');
+    banner.querySelector('span').textContent = 'The reading list was updated in another tab. Reload to keep saving changes.';
+    document.getElementById('updateReloadBtn').onclick = () => location.reload();
+    banner.hidden = false;
+  }
+
+  // ---- Change History ----
+  //
+  // Each book carries a `history` log. An entry records when and how (source)
+  // a set of fields changed: { at, source, changes: [{ field, from, to }] }.
+
+  const HISTORY_SOURCES = {
+    edit: 'Edited',
+    status: 'Status changed',
+    import: 'Imported',
+    merge: 'Merged duplicate',
+    repair: 'Repaired'
+  };
+
+  // Appends an entry to `after.history` describing how it differs from `before`
+  function recordHistory(before, after, source) {
+    const changes = changedFields(before, after).map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+    after.history = after.history || [];
+    if (changes.length > 0) {
+      after.history = [...after.history, { at: new Date().toISOString(), source, changes }];
+    }
+  }
+
+  // Book fields (other than id and history) whose values differ
+  function changedFields(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields].filter(field =>
+      field !== 'id' && field !== 'history' && JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    );
+  }
+
+  function historyHtml(book) {
+    const entries = book.history || [];
+    if (entries.length === 0) return '';
+
+    const items = [...entries].reverse().map(entry => {
+      const when = new Date(entry.at).toLocaleString();
+      const changes = entry.changes.map(c => `
+        <div class="history-change">
+          <span class="history-field">${escapeHtml(FIELD_LABELS[c.field] || c.field)}</span>
+          <span class="history-value history-from">${escapeHtml(formatFieldValue(c.field, c.from))}</span>
+          <span class="history-arrow">&rarr;</span>
+          <span class="history-value">${escapeHtml(formatFieldValue(c.field, c.to))}</span>
+        </div>`).join('');
+      return `
+        <li class="history-entry">
+          <div class="history-meta">${escapeHtml(HISTORY_SOURCES[entry.source] || entry.source)} · ${escapeHtml(when)}</div>
+          ${changes}
+        </li>`;
+    }).join('');
+
+    return `
+      <details class="detail-history">
+        <summary>History (${entries.length})</summary>
+        <ol class="history-timeline">${items}</ol>
+      </details>`;
+  }
+
+  function formatFieldValue(field, value) {
+    if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) return '—';
+    if (field === 'status') return STATUS_LABELS[value] || value;
+    if (field === 'favorite') return value ? 'Yes' : 'No';
+    if (field === 'highlights') return `${value.length} highlight${value.length === 1 ? '' : 's'}`;
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  }
+
+  // ---- Duplicates ----
+  //
+  // Ids are random, so the same book added twice or imported from two sources
+  // ends up as two records. Two books look like duplicates when their ISBNs
+  // match, or when their titles match once case, accents, subtitles and leading
+  // articles are ignored and their authors share a word ("Herbert, Frank" / "Frank Herbert").
+
+  const LEADING_ARTICLES = /^(the|a|an|le|la|les|el|los|las|der|die|das)\s+/;
+
+  function foldText(str) {
+    return String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  // "The Lord of the Rings: The Fellowship of the Ring" -> "lord of the rings"
+  function normalizeTitle(title) {
+    return foldText(title)
+      .split(/\s*[:([]|\s+[-–—]\s+/)[0]
+      .replace(/&/g, 'and')
+      .replace(/[^a-z0-9\s]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(LEADING_ARTICLES, '');
+  }
+
+  // Words of three letters or more, so initials ("F. Herbert") don't count
+  function authorWords(author) {
+    return new Set(foldText(author).replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(w => w.length > 2));
+  }
+
+  // ISBN-10s are compared as their ISBN-13 equivalent
+  function isbn13(isbn) {
+    if (isbn.length !== 10) return isbn;
+    const core = '978' + isbn.slice(0, 9);
+    const sum = [...core].reduce((acc, d, i) => acc + Number(d) * (i % 2 ? 3 : 1), 0);
+    return core + ((10 - (sum % 10)) % 10);
+  }
+
+  function isLikelyDuplicate(a, b) {
+    if (a.isbn && b.isbn && isbn13(a.isbn) === isbn13(b.isbn)) return true;
+    const title = normalizeTitle(a.title);
+    if (!title || title !== normalizeTitle(b.title)) return false;
+    const wordsA = authorWords(a.author);
+    const wordsB = authorWords(b.author);
+    if (wordsA.size === 0 || wordsB.size === 0) return true;
+    return [...wordsA].some(w => wordsB.has(w));
+  }
+
+  // Indexes `list` by title and ISBN; the returned function finds a book's likely duplicates in it
+  function duplicateFinder(list) {
+    const byTitle = new Map();
+    const byIsbn = new Map();
+    const add = (map, key, book) => {
+      if (!key) return;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(book);
+    };
+    list.forEach(book => {
+      add(byTitle, normalizeTitle(book.title), book);
+      add(byIsbn, book.isbn && isbn13(book.isbn), book);
+    });
+    return (book) => {
+      const candidates = new Set([
+        ...(byTitle.get(normalizeTitle(book.title)) || []),
+        ...(byIsbn.get(book.isbn && isbn13(book.isbn)) || []),
+      ]);
+      return [...candidates].filter(other => other.id !== book.id && isLikelyDuplicate(book, other));
+    };
+  }
+
+  // [older, newer] pairs; the older record is the one kept when merging
+  function findDuplicatePairs(list) {
+    const find = duplicateFinder(list);
+    const seen = new Set();
+    const pairs = [];
+    list.forEach(book => {
+      find(book).forEach(other => {
+        const key = [book.id, other.id].sort().join('|');
+        if (seen.has(key)) return;
+        seen.add(key);
+        pairs.push((book.dateAdded || '') <= (other.dateAdded || '') ? [book, other] : [other, book]);
+      });
+    });
+    return pairs;
+  }
+
+  function openDuplicatesModal() {
+    renderDuplicates();
+    openModal('duplicatesModal');
+  }
+
+  function renderDuplicates() {
+    const body = document.getElementById('duplicatesBody');
+    const pairs = findDuplicatePairs(liveBooks());
+    if (pairs.length === 0) {
+      body.innerHTML = '<div class="empty-state">No likely duplicates found</div>';
+      return;
+    }
+
+    const describe = (book) => `${escapeHtml(book.author)} · ${STATUS_LABELS[book.status] || escapeHtml(book.status)} · added ${escapeHtml(book.dateAdded)}`;
+    body.innerHTML = `
+      <p class="modal-hint">Merging keeps the older record, copies over the values you choose, and moves the other one to the Trash.</p>
+      <div class="trash-list">
+        ${pairs.map(([keep, drop], i) => `
+          <div class="trash-item">
+            <div class="trash-item-info">
+              <div class="trash-item-title">${escapeHtml(keep.title)}</div>
+              <div class="trash-item-meta">${describe(keep)}</div>
+              <div class="trash-item-title">${escapeHtml(drop.title)}</div>
+              <div class="trash-item-meta">${describe(drop)}</div>
+            </div>
+            <button class="btn btn-subtle btn-small" data-pair="${i}">Review &amp; Merge</button>
+          </div>`).join('')}
+      </div>`;
+    body.querySelectorAll('[data-pair]').forEach(btn => {
+      btn.addEventListener('click', () => renderMergeView(...pairs[parseInt(btn.dataset.pair)]));
+    });
+  }
+
+  // Field-by-field choice between the two records; tags can also be combined
+  function renderMergeView(keep, drop) {
+    const isBlank = (v) => v == null || v === '' || (Array.isArray(v) && v.length === 0);
+    const fields = changedFields(keep, drop).filter(f => f !== 'deletedAt');
+
+    const rows = fields.map(field => {
+      const keepChecked = !isBlank(keep[field]) || isBlank(drop[field]);
+      const both = field === 'tags' || field === 'highlights' ? `
+        <label><input type="radio" name="merge-${field}" value="both" checked> Both</label>` : '';
+      return `
+        <tr>
+          <td class="history-field">${escapeHtml(FIELD_LABELS[field] || field)}</td>
+          <td><label><input type="radio" name="merge-${field}" value="keep"${keepChecked && !both ? ' checked' : ''}> ${escapeHtml(formatFieldValue(field, keep[field]))}</label></td>
+          <td><label><input type="radio" name="merge-${field}" value="drop"${!keepChecked && !both ? ' checked' : ''}> ${escapeHtml(formatFieldValue(field, drop[field]))}</label>${both}</td>
+        </tr>`;
+    }).join('');
+
+    const body = document.getElementById('duplicatesBody');
+    body.innerHTML = `
+      <p class="modal-hint">Choose which value to keep for each field that differs.</p>
+      <table class="import-table merge-table">
+        <thead><tr><th>Field</th><th>Keep (added ${escapeHtml(keep.dateAdded)})</th><th>Merge in (added ${escapeHtml(drop.dateAdded)})</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="3">The two records are identical.</td></tr>'}</tbody>
+      </table>
+      <div class="form-actions">
+        <button class="btn btn-subtle" id="mergeBackBtn">Back</button>
+        <button class="btn btn-primary" id="mergeConfirmBtn">Merge</button>
+      </div>`;
+
+    document.getElementById('mergeBackBtn').addEventListener('click', renderDuplicates);
+    document.getElementById('mergeConfirmBtn').addEventListener('click', () => {
+      const values = {};
+      fields.forEach(field => {
+        const choice = body.querySelector(`input[name="merge-${field}"]:checked`).value;
+        if (choice === 'drop') values[field] = drop[field];
+        else if (choice === 'both' && field === 'highlights') values[field] = mergeHighlights(keep[field], drop[field]);
+        else if (choice === 'both') values[field] = [...new Set([...keep[field], ...drop[field]])];
+      });
+      mergeDuplicates(keep.id, drop.id, values);
+    });
+  }
+
+  function mergeDuplicates(keepId, dropId, values) {
+    takeSnapshot('Before merging duplicates');
+    commitChange('Merged duplicates', () => {
+      const keepIdx = books.findIndex(b => b.id === keepId);
+      const dropIdx = books.findIndex(b => b.id === dropId);
+      if (keepIdx === -1 || dropIdx === -1) return;
+      const merged = { ...books[keepIdx], ...values };
+      recordHistory(books[keepIdx], merged, 'merge');
+      books[keepIdx] = merged;
+      books[dropIdx] = { ...books[dropIdx], deletedAt: new Date().toISOString() };
+    });
+  }
+
+  // ---- Rendering ----
+
+  // The page's sections, in page order. Each id has a matching <id>Section and
+  // <id>Grid element. Finished leaves out Top Picks and is sorted by rating.
+  function librarySections(list) {
+    const completed = list.filter(b => b.status === 'finished' && !b.favorite).sort((a, b) => {
+      if (a.rating == null && b.rating == null) return a.title.localeCompare(b.title);
+      if (a.rating == null) return 1;
+      if (b.rating == null) return -1;
+      if (b.rating !== a.rating) return b.rating - a.rating;
+      return a.title.localeCompare(b.title);
+    });
+    return [
+      { id: 'favorites', title: 'Top Picks', empty: 'No favorites yet', books: list.filter(b => b.favorite && b.status === 'finished') },
+      { id: 'reading', title: 'Currently Reading', empty: 'Nothing currently being read', books: list.filter(b => b.status === 'reading') },
+      { id: 'completed', title: 'Finished', empty: 'No finished books', books: completed },
+      { id: 'paused', title: 'On Hold', empty: 'No books on hold', books: list.filter(b => b.status === 'on-hold') },
+      { id: 'owned', title: 'Up Next', empty: 'No books in this category', books: list.filter(b => b.status === 'up-next') },
+      { id: 'wantToBuy', title: 'Wishlist', empty: 'No books in this category', books: list.filter(b => b.status === 'wishlist') },
+    ];
+  }
+
+  function renderAll() {
+    const renderFn = currentView === 'list' ? renderList : renderGrid;
+
+    librarySections(getFilteredBooks()).forEach(section => {
+      renderFn(`${section.id}Grid`, section.books, section.empty);
+      updateSectionCount(`${section.id}Section`, section.books.length);
+      toggleSection(`${section.id}Section`, section.books.length);
+    });
+
+    updateClearFiltersButton();
+
+    // Lazy-load covers for cards missing them (grid view only)
+    if (currentView === 'grid') {
+      lazyLoadCovers();
+    }
+  }
+
+  function updateSectionCount(sectionId, count) {
+    const section = document.getElementById(sectionId);
+    const title = section.querySelector('.section-title');
+    const baseName = title.dataset.baseName || title.textContent.replace(/\s*\(\d+\)$/, '');
+    title.dataset.baseName = baseName;
+    title.innerHTML = `${baseName} <span class="section-count">(${count})</span>`;
+  }
+
+  function updateClearFiltersButton() {
+    const btn = document.getElementById('clearFiltersBtn');
+    const active = isFilterActive() || filterState.sort !== 'dateAdded';
+    btn.style.display = active ? '' : 'none';
+  }
+
+  function clearAllFilters() {
+    filterState.genre = '';
+    filterState.status = '';
+    filterState.format = '';
+    filterState.rating = '';
+    filterState.sort = 'dateAdded';
+    document.getElementById('searchInput').value = '';
+
+    // Reset all pill labels and states
+    const defaults = { filterGenrePill: 'Genre', filterStatusPill: 'Status', filterFormatPill: 'Format', filterRatingPill: 'Rating', sortByPill: 'Sort' };
+    Object.entries(defaults).forEach(([pillId, label]) => {
+      const pill = document.getElementById(pillId);
+      pill.classList.remove('active');
+      pill.childNodes[0].textContent = label + ' ';
+    });
+
+    // Reset selected states in all dropdowns
+    document.querySelectorAll('.filter-dropdown-item').forEach(item => {
+      item.classList.remove('selected');
+    });
+    // Re-select the "Date Added" sort default
+    const sortDropdown = document.getElementById('sortByDropdown');
+    const dateAddedItem = sortDropdown.querySelector('[data-value="dateAdded"]');
+    if (dateAddedItem) dateAddedItem.classList.add('selected');
+
+    renderAll();
+  }
+
+  function lazyLoadCovers() {
+    const cards = document.querySelectorAll('[data-needs-cover="true"]');
+    if (cards.length === 0) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          const card = entry.target;
+          observer.unobserve(card);
+          const bookId = card.dataset.id;
+          const book = books.find(b => b.id === bookId);
+          if (!book) return;
+          fetchCoverForBook(book).then(url => {
+            if (url) {
+              const coverDiv = card.querySelector('.book-card-cover');
+              if (coverDiv) {
+                const img = document.createElement('img');
+                img.src = coverSrc(url);
+                img.alt = book.title;
+                img.loading = 'lazy';
+                img.onerror = function() { this.remove(); };
+                const placeholder = coverDiv.querySelector('.placeholder-cover');
+                if (placeholder) placeholder.replaceWith(img);
+              }
+            }
+            card.removeAttribute('data-needs-cover');
+          });
+        }
+      });
+    }, { rootMargin: '200px' });
+
+    cards.forEach(card => observer.observe(card));
+  }
+
+  function toggleSection(id, count) {
+    const el = document.getElementById(id);
+    const hasFilters = isFilterActive();
+    if (count === 0 && hasFilters) {
+      el.classList.add('hidden');
+    } else {
+      el.classList.remove('hidden');
+    }
+  }
+
+  function isFilterActive() {
+    return document.getElementById('searchInput').value.trim() !== '' ||
+      filterState.genre !== '' ||
+      filterState.status !== '' ||
+      filterState.format !== '' ||
+      filterState.rating !== '';
+  }
+
+  function renderGrid(gridId, bookList, emptyMsg) {
+    const grid = document.getElementById(gridId);
+    grid.classList.remove('empty', 'list-view-active');
+    grid.removeAttribute('data-empty-message');
+
+    if (bookList.length === 0) {
+      if (isFilterActive()) {
+        grid.innerHTML = '<div class="empty-state">No books match your filters. <a href="#" class="clear-filters-link">Clear filters</a></div>';
+        grid.querySelector('.clear-filters-link').addEventListener('click', (e) => {
+          e.preventDefault();
+          clearAllFilters();
+        });
+      } else {
+        grid.innerHTML = '';
+        grid.classList.add('empty');
+        grid.setAttribute('data-empty-message', emptyMsg);
+      }
+      return;
+    }
+
+    grid.innerHTML = bookList.map(book => createBookCard(book)).join('');
+
+    // Bind click events
+    grid.querySelectorAll('.book-card').forEach(card => {
+      card.addEventListener('click', () => showBookDetail(card.dataset.id));
+    });
+  }
+
+  function renderList(gridId, bookList, emptyMsg) {
+    const grid = document.getElementById(gridId);
+    grid.classList.remove('empty');
+    grid.removeAttribute('data-empty-message');
+    grid.classList.add('list-view-active');
+
+    if (bookList.length === 0) {
+      if (isFilterActive()) {
+        grid.innerHTML = '<div class="empty-state">No books match your filters. <a href="#" class="clear-filters-link">Clear filters</a></div>';
+        grid.querySelector('.clear-filters-link').addEventListener('click', (e) => {
+          e.preventDefault();
+          clearAllFilters();
+        });
+      } else {
+        grid.innerHTML = '';
+        grid.classList.add('empty');
+        grid.setAttribute('data-empty-message', emptyMsg);
+      }
+      return;
+    }
+
+    // Sort list by listSortState
+    const sorted = [...bookList].sort((a, b) => {
+      let cmp = 0;
+      switch (listSortState.column) {
+        case 'title': cmp = (a.title || '').localeCompare(b.title || ''); break;
+        case 'author': cmp = (a.author || '').localeCompare(b.author || ''); break;
+        case 'genre': cmp = (a.genre || '').localeCompare(b.genre || ''); break;
+        case 'rating': cmp = (a.rating || 0) - (b.rating || 0); break;
+        case 'status': cmp = (a.status || '').localeCompare(b.status || ''); break;
+        case 'format': cmp = (a.format || '').localeCompare(b.format || ''); break;
+        default: cmp = (a.title || '').localeCompare(b.title || '');
+      }
+      return listSortState.direction === 'desc' ? -cmp : cmp;
+    });
+
+    const arrow = (col) => {
+      if (listSortState.column !== col) return '';
+      return listSortState.direction === 'asc' ? ' &#9650;' : ' &#9660;';
+    };
+    const activeClass = (col) => listSortState.column === col ? ' sort-active' : '';
+
+    let html = `<table class="book-list-table">
+      <thead><tr>
+        <th class="book-list-col-title${activeClass('title')}" data-sort-col="title">Title${arrow('title')}</th>
+        <th class="book-list-col-author${activeClass('author')}" data-sort-col="author">Author${arrow('author')}</th>
+        <th class="book-list-col-genre${activeClass('genre')}" data-sort-col="genre">Genre${arrow('genre')}</th>
+        <th class="book-list-col-rating${activeClass('rating')}" data-sort-col="rating">Rating${arrow('rating')}</th>
+        <th class="book-list-col-status${activeClass('status')}" data-sort-col="status">Status${arrow('status')}</th>
+        <th class="book-list-col-format${activeClass('format')}" data-sort-col="format">Format${arrow('format')}</th>
+        <th class="book-list-col-amazon"></th>
+      </tr></thead><tbody>`;
+
+    sorted.forEach(book => {
+      const ratingStr = book.rating ? starsHtml(book.rating) : '<span style="color:var(--color-text-muted)">—</span>';
+      const statusLabel = STATUS_LABELS[book.status] || book.status;
+      html += `<tr class="book-list-row" data-id="${book.id}">
+        <td class="book-list-col-title">${escapeHtml(book.title)}</td>
+        <td class="book-list-col-author">${escapeHtml(book.author)}</td>
+        <td class="book-list-col-genre">${escapeHtml(book.genre || '')}</td>
+        <td class="book-list-col-rating">${ratingStr}</td>
+        <td class="book-list-col-status"><span class="book-list-status-badge">${escapeHtml(statusLabel)}</span></td>
+        <td class="book-list-col-format">${escapeHtml(book.format || '')}</td>
+        <td class="book-list-col-amazon"><a href="${amazonSearchUrl(book)}" target="_blank" rel="noopener noreferrer" class="amazon-link" title="Find on Amazon" onclick="event.stopPropagation()">${AMAZON_ICON_SVG}</a></td>
+      </tr>`;
+    });
+
+    html += '</tbody></table>';
+    grid.innerHTML = html;
+
+    // Bind row clicks
+    grid.querySelectorAll('.book-list-row').forEach(row => {
+      row.addEventListener('click', () => showBookDetail(row.dataset.id));
+    });
+
+    // Bind column header clicks for sorting
+    grid.querySelectorAll('th[data-sort-col]').forEach(header => {
+      header.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const col = header.dataset.sortCol;
+        if (listSortState.column === col) {
+          listSortState.direction = listSortState.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+          listSortState.column = col;
+          listSortState.direction = 'asc';
+        }
+        renderAll();
+      });
+    });
+  }
+
+  function createBookCard(book) {
+    let needsCover = false;
+    let coverHtml;
+
+    if (book.coverImage) {
+      coverHtml = `<img src="${escapeHtml(coverSrc(book.coverImage))}" alt="${escapeHtml(book.title)}" loading="lazy" onerror="this.parentElement.innerHTML='${placeholderCoverInline()}'">`;
+    } else {
+      // Check cover cache
+      const cached = getCachedCover(book);
+      if (cached && cached.url) {
+        coverHtml = `<img src="${escapeHtml(coverSrc(cached.url))}" alt="${escapeHtml(book.title)}" loading="lazy" onerror="this.parentElement.innerHTML='${placeholderCoverInline()}'">`;
+      } else if (!cached) {
+        coverHtml = `<div class="placeholder-cover">${BOOK_ICON_SVG}</div>`;
+        needsCover = true;
+      } else {
+        coverHtml = `<div class="placeholder-cover">${BOOK_ICON_SVG}</div>`;
+      }
+    }
+
+    const genreHtml = book.genre ? `<span class="book-card-genre">${escapeHtml(book.genre)}</span>` : '';
+
+    let ratingHtml = '';
+    if (book.status === 'finished' && book.rating) {
+      ratingHtml = `<div class="book-card-rating">${starsHtml(book.rating)}</div>`;
+    }
+
+    let progressHtml = '';
+    if ((book.status === 'reading' || book.status === 'on-hold') && book.currentPage && book.pageCount) {
+      const pct = Math.min(100, Math.round((book.currentPage / book.pageCount) * 100));
+      progressHtml = `
+        <div class="progress-bar"><div class="progress-bar-fill" style="width:${pct}%"></div></div>
+        <div class="progress-text">${book.currentPage} / ${book.pageCount} pages</div>`;
+    }
+
+    return `
+      <div class="book-card" data-id="${book.id}"${needsCover ? ' data-needs-cover="true"' : ''}>
+        <div class="book-card-cover">
+          ${coverHtml}
+        </div>
+        <div class="book-card-info">
+          <div class="book-card-title">${escapeHtml(book.title)}</div>
+          <div class="book-card-author">${escapeHtml(book.author)}</div>
+          ${genreHtml}
+          <div class="book-card-bottom">
+            <div class="book-card-bottom-left">${ratingHtml}${progressHtml}</div>
+            <a href="${amazonSearchUrl(book)}" target="_blank" rel="noopener noreferrer" class="amazon-link" title="Find on Amazon" onclick="event.stopPropagation()">${AMAZON_ICON_SVG}</a>
+          </div>
+        </div>
+      </div>`;
+  }
+
+  function placeholderCoverInline() {
+    // Escaped version for onerror inline HTML
+    return '<div class=&quot;placeholder-cover&quot;>' + BOOK_ICON_SVG.replace(/"/g, '&quot;') + '</div>';
+  }
+
+  // Ratings may be fractional (quarter stars from StoryGraph imports)
+  function starsHtml(rating) {
+    let html = '<div class="stars">';
+    for (let i = 1; i <= 5; i++) {
+      const part = rating - (i - 1);
+      if (part > 0 && part < 1) {
+        html += `<span class="star partial" style="--fill:${Math.round(part * 100)}%">&#9733;</span>`;
+      } else {
+        html += `<span class="star ${i <= rating ? 'filled' : ''}">&#9733;</span>`;
+      }
+    }
+    html += '</div>';
+    return html;
+  }
+
+  function updateStats() {
+    const stats = document.getElementById('headerStats');
+    const live = liveBooks();
+    const total = live.length;
+    const completed = live.filter(b => b.status === 'finished').length;
+    const reading = live.filter(b => b.status === 'reading').length;
+
+    stats.innerHTML = `
+      <div class="stat-item"><span class="stat-number">${total}</span><span class="stat-label">Books</span></div>
+      <div class="stat-item"><span class="stat-number">${completed}</span><span class="stat-label">Read</span></div>
+      <div class="stat-item"><span class="stat-number">${reading}</span><span class="stat-label">Reading</span></div>
+    `;
+  }
+
+  // ---- Filtering & Sorting ----
+
+  function getFilteredBooks() {
+    const query = document.getElementById('searchInput').value.toLowerCase().trim();
+    const genre = filterState.genre;
+    const status = filterState.status;
+    const format = filterState.format;
+    const rating = filterState.rating;
+
+    const result = liveBooks().filter(book => {
+      if (query && !book.title.toLowerCase().includes(query) && !book.author.toLowerCase().includes(query)) return false;
+      if (genre && book.genre !== genre) return false;
+      if (status && book.status !== status) return false;
+      if (format && book.format !== format) return false;
+      if (rating === 'none' && book.rating != null) return false;
+      if (rating && rating !== 'none' && Math.round(book.rating) !== parseInt(rating)) return false;
+      return true;
+    });
+
+    return sortBooks(result, filterState.sort);
+  }
+
+  // Sorts in place and returns the list
+  function sortBooks(list, sortBy) {
+    return list.sort((a, b) => {
+      switch (sortBy) {
+        case 'title': return a.title.localeCompare(b.title);
+        case 'author': return a.author.localeCompare(b.author);
+        case 'rating': return (b.rating || 0) - (a.rating || 0);
+        case 'yearPublished': return (b.yearPublished || 0) - (a.yearPublished || 0);
+        case 'dateCompleted': return (b.dateCompleted || '').localeCompare(a.dateCompleted || '');
+        case 'dateAdded':
+        default: return (b.dateAdded || '').localeCompare(a.dateAdded || '');
+      }
+    });
+  }
+
+  const ALL_GENRES = [
+    'Art', 'Artificial Intelligence', 'Biography', 'Business', 'Classics',
+    'Comics / Graphic Novels', 'Cookbook', 'Creativity', 'Cryptocurrency',
+    'Design', 'Fairy Tale', 'Fantasy', 'Fiction', 'Food', 'Health', 'History',
+    'Horror', 'Humor', 'Leadership / Management', 'Marine Life / Ocean',
+    'Military History', 'Money', 'Music', 'Mystery', 'Non-Fiction', 'Novel',
+    'Personal Development', 'Philosophy', 'Poetry', 'Politics / Current Affairs',
+    'Psychology', 'Real Estate Investing', 'Religion and Spirituality', 'Romance',
+    'Science', 'Science Fiction', 'Self-Help', 'Technology', 'Thriller', 'Travel',
+    'True Crime', 'UX'
+  ];
+
+  function populateGenreFilter() {
+    const dropdown = document.getElementById('filterGenreDropdown');
+    let html = '<button class="filter-dropdown-item" data-value="">All Genres</button>';
+    ALL_GENRES.forEach(g => {
+      html += `<button class="filter-dropdown-item" data-value="${escapeHtml(g)}">${escapeHtml(g)}</button>`;
+    });
+    dropdown.innerHTML = html;
+
+    // Bind genre dropdown items
+    bindDropdownItems(dropdown, 'genre', 'filterGenrePill');
+  }
+
+  // ---- Pill-Chip Filter Logic ----
+
+  function bindDropdownItems(dropdown, filterKey, pillId) {
+    dropdown.querySelectorAll('.filter-dropdown-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const value = item.dataset.value;
+        filterState[filterKey] = value;
+
+        // Update selected state in dropdown
+        dropdown.querySelectorAll('.filter-dropdown-item').forEach(i => i.classList.remove('selected'));
+        item.classList.add('selected');
+
+        // Update pill active state and label
+        const pill = document.getElementById(pillId);
+        closeAllDropdowns();
+
+        if (value) {
+          pill.classList.add('active');
+          // Show selected value in pill text
+          const label = filterKey === 'sort' ? 'Sort' : item.textContent.replace('✓ ', '');
+          pill.childNodes[0].textContent = filterKey === 'sort' ? `Sort: ${item.textContent.replace('✓ ', '')} ` : `${label} `;
+        } else {
+          pill.classList.remove('active');
+          const defaultLabels = { genre: 'Genre', status: 'Status', format: 'Format', rating: 'Rating', sort: 'Sort' };
+          pill.childNodes[0].textContent = defaultLabels[filterKey] + ' ';
+        }
+
+        renderAll();
+      });
+    });
+  }
+
+  function toggleDropdown(pillId, dropdownId) {
+    const pill = document.getElementById(pillId);
+    const dropdown = document.getElementById(dropdownId);
+    const isOpen = dropdown.classList.contains('open');
+
+    closeAllDropdowns();
+
+    if (!isOpen) {
+      dropdown.classList.add('open');
+      pill.classList.add('open');
+    }
+  }
+
+  function closeAllDropdowns() {
+    document.querySelectorAll('.filter-dropdown').forEach(d => d.classList.remove('open'));
+    document.querySelectorAll('.filter-pill').forEach(p => p.classList.remove('open'));
+    const overflowDropdown = document.getElementById('overflowDropdown');
+    if (overflowDropdown) overflowDropdown.classList.remove('open');
+    const ratingLegend = document.getElementById('ratingLegend');
+    if (ratingLegend) ratingLegend.classList.remove('open');
+  }
+
+  // ---- Book Detail Modal ----
+
+  function showBookDetail(id) {
+    const book = books.find(b => b.id === id);
+    if (!book) return;
+    currentDetailId = id;
+
+    const body = document.getElementById('bookDetailBody');
+    const placeholderSvg = BOOK_ICON_SVG;
+    const cachedCover = book.coverImage ? null : getCachedCover(book);
+    const coverUrl = book.coverImage || (cachedCover && cachedCover.url) || '';
+    const coverHtml = coverUrl
+      ? `<img src="${escapeHtml(coverSrc(coverUrl))}" alt="${escapeHtml(book.title)}" onerror="this.outerHTML='<div class=\\'placeholder-cover\\'>${placeholderSvg.replace(/'/g, "\\'")}</div>'">`
+      : `<div class="placeholder-cover">${placeholderSvg}</div>`;
+
+    let ratingHtml = '';
+    if (book.rating) {
+      ratingHtml = `<div class="detail-rating">${starsHtml(book.rating)}</div>`;
+    }
+
+    let badges = [];
     if (book.genre) badges.push(`<span class="badge">${escapeHtml(book.genre)}</span>`);
     if (book.format) badges.push(`<span class="badge">${escapeHtml(book.format)}</span>`);
     if (book.yearPublished) badges.push(`<span class="badge">${book.yearPublished}</span>`);
@@ -621,291 +2370,2284 @@
       book.tags.forEach(t => badges.push(`<span class="badge">${escapeHtml(t)}</span>`));
     }
 
-    let fieldsHtml = '';
-    if (book.recommendedBy) {
-      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Recommended By</div><div class="detail-field-value">${escapeHtml(book.recommendedBy)}</div></div>`;
+    let fieldsHtml = '';
+    if (book.recommendedBy) {
+      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Recommended By</div><div class="detail-field-value">${escapeHtml(book.recommendedBy)}</div></div>`;
+    }
+    if (book.pageCount) {
+      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Pages</div><div class="detail-field-value">${book.pageCount}</div></div>`;
+    }
+    if (book.isbn) {
+      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">ISBN</div><div class="detail-field-value">${escapeHtml(book.isbn)}</div></div>`;
+    }
+    if (book.datePurchased) {
+      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Date Purchased</div><div class="detail-field-value">${book.datePurchased}</div></div>`;
+    }
+    if (book.dateStarted) {
+      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Date Started</div><div class="detail-field-value">${book.dateStarted}</div></div>`;
+    }
+    if (book.dateCompleted) {
+      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Date Completed</div><div class="detail-field-value">${book.dateCompleted}</div></div>`;
+    }
+    if (book.loanDueDate) {
+      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Loan Due</div><div class="detail-field-value">${book.loanDueDate}</div></div>`;
+    }
+    if ((book.status === 'reading' || book.status === 'on-hold') && book.currentPage) {
+      const progressStr = book.pageCount ? `${book.currentPage} / ${book.pageCount}` : `Page ${book.currentPage}`;
+      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Progress</div><div class="detail-field-value">${progressStr}</div></div>`;
+    }
+
+    if (book.description) {
+      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Description</div><div class="detail-field-value">${escapeHtml(book.description)}</div></div>`;
+    }
+
+    let notesHtml = '';
+    if (book.notes) {
+      notesHtml = `<div class="detail-field"><div class="detail-field-label">Notes</div><div class="detail-notes">${escapeHtml(book.notes)}</div></div>`;
+    }
+
+    let highlightsHtml = '';
+    if (book.highlights && book.highlights.length) {
+      const items = book.highlights.map(h => {
+        const meta = [
+          h.type === 'note' && 'Note',
+          h.page && `Page ${h.page}`,
+          h.location && `Location ${h.location}`,
+          h.date
+        ].filter(Boolean).map(escapeHtml).join(' · ');
+        return `<li class="detail-highlight${h.type === 'note' ? ' detail-highlight-note' : ''}"><div class="detail-highlight-text">${escapeHtml(h.text)}</div>${meta ? `<div class="detail-highlight-meta">${meta}</div>` : ''}</li>`;
+      }).join('');
+      highlightsHtml = `<div class="detail-field"><div class="detail-field-label">Highlights (${book.highlights.length})</div><ul class="detail-highlights">${items}</ul></div>`;
+    }
+
+    // Status dropdown
+    const statusOptions = Object.entries(STATUS_LABELS).map(([val, label]) =>
+      `<option value="${val}" ${book.status === val ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
+    body.innerHTML = `
+      <div class="detail-header">
+        <div class="detail-cover">${coverHtml}</div>
+        <div class="detail-meta">
+          <h3>${escapeHtml(book.title)}</h3>
+          <div class="detail-author">${escapeHtml(book.author)}</div>
+          ${ratingHtml}
+          <div class="detail-badges">${badges.join('')}</div>
+        </div>
+      </div>
+      ${fieldsHtml}
+      ${notesHtml}
+      ${highlightsHtml}
+      ${isAdmin ? historyHtml(book) : ''}
+      <div class="detail-actions">
+        ${isAdmin ? `<select class="detail-status-select" id="detailStatusSelect">${statusOptions}</select>
+        <button class="btn btn-subtle btn-small" id="editBookBtn">Edit</button>
+        ${book.coverImage ? '' : '<button class="btn btn-subtle btn-small" id="refreshCoverBtn">Refresh Cover</button>'}
+        <button class="btn btn-danger btn-small" id="deleteBookBtn">Delete</button>` : ''}
+        <button class="btn btn-subtle btn-small" id="citeBookBtn">Cite</button>
+        <a href="${amazonSearchUrl(book)}" target="_blank" rel="noopener noreferrer" class="btn btn-subtle btn-small detail-amazon-link">Find on Amazon</a>
+      </div>
+    `;
+
+    document.getElementById('citeBookBtn').addEventListener('click', () => openCiteModal(id));
+
+    // Bind detail actions (admin only)
+    if (isAdmin) {
+      document.getElementById('detailStatusSelect').addEventListener('change', (e) => {
+        const status = e.target.value;
+        commitChange(`Moved to ${STATUS_LABELS[status]}`, () => {
+          const target = books.find(b => b.id === id);
+          const before = { ...target };
+          target.status = status;
+          recordHistory(before, target, 'status');
+        });
+      });
+
+      document.getElementById('editBookBtn').addEventListener('click', () => {
+        closeModal('bookDetailModal');
+        openEditForm(book);
+      });
+
+      const refreshCoverBtn = document.getElementById('refreshCoverBtn');
+      if (refreshCoverBtn) refreshCoverBtn.addEventListener('click', () => refreshCover(id));
+
+      document.getElementById('deleteBookBtn').addEventListener('click', () => {
+        const retention = trashRetentionDays ? ` It will be permanently deleted after ${trashRetentionDays} days.` : '';
+        showConfirmDialog('Delete Book', `Move "${book.title}" to the Trash?${retention}`, () => {
+          closeModal('bookDetailModal');
+          commitChange('Moved to Trash', () => {
+            books.find(b => b.id === id).deletedAt = new Date().toISOString();
+          });
+        });
+      });
+    }
+
+    openModal('bookDetailModal');
+  }
+
+  // ---- Add/Edit Form ----
+
+  function openAddForm() {
+    document.getElementById('formModalTitle').textContent = 'Add Book';
+    document.getElementById('bookForm').reset();
+    document.getElementById('formBookId').value = '';
+    document.getElementById('olResults').innerHTML = '';
+    document.getElementById('formSyncNotice').hidden = true;
+    document.getElementById('formStatus').value = 'up-next';
+    openModal('bookFormModal');
+  }
+
+  function openEditForm(book) {
+    document.getElementById('formModalTitle').textContent = 'Edit Book';
+    document.getElementById('formBookId').value = book.id;
+    document.getElementById('formTitle').value = book.title || '';
+    document.getElementById('formAuthor').value = book.author || '';
+    document.getElementById('formGenre').value = book.genre || '';
+    document.getElementById('formYear').value = book.yearPublished || '';
+    document.getElementById('formPages').value = book.pageCount || '';
+    document.getElementById('formFormat').value = book.format || '';
+    document.getElementById('formStatus').value = book.status || 'up-next';
+    setRatingSelect(book.rating);
+    document.getElementById('formCover').value = book.coverImage || '';
+    document.getElementById('formIsbn').value = book.isbn || '';
+    document.getElementById('formDatePurchased').value = book.datePurchased || '';
+    document.getElementById('formDateStarted').value = book.dateStarted || '';
+    document.getElementById('formDateCompleted').value = book.dateCompleted || '';
+    document.getElementById('formLoanDueDate').value = book.loanDueDate || '';
+    document.getElementById('formCurrentPage').value = book.currentPage || '';
+    document.getElementById('formRecommendedBy').value = book.recommendedBy || '';
+    document.getElementById('formTags').value = (book.tags || []).join(', ');
+    document.getElementById('formDescription').value = book.description || '';
+    document.getElementById('formNotes').value = book.notes || '';
+    document.getElementById('formFavorite').checked = book.favorite || false;
+    document.getElementById('olResults').innerHTML = '';
+    document.getElementById('formSyncNotice').hidden = true;
+    openModal('bookFormModal');
+  }
+
+  // The select only lists whole stars; add an option so a quarter-star rating survives an edit
+  function setRatingSelect(rating) {
+    const select = document.getElementById('formRating');
+    select.querySelectorAll('option[data-fractional]').forEach(opt => opt.remove());
+    if (rating && rating % 1) {
+      const opt = document.createElement('option');
+      opt.value = String(rating);
+      opt.textContent = `${rating} Stars`;
+      opt.dataset.fractional = 'true';
+      select.insertBefore(opt, select.querySelector(`option[value="${Math.floor(rating)}"]`));
+    }
+    select.value = rating ? String(rating) : '';
+  }
+
+  function handleFormSubmit(e) {
+    e.preventDefault();
+    const id = document.getElementById('formBookId').value;
+    const isEdit = !!id;
+
+    if (isEdit && !books.some(b => b.id === id)) {
+      closeModal('bookFormModal');
+      showToast('This book no longer exists');
+      return;
+    }
+
+    const fields = {
+      title: document.getElementById('formTitle').value.trim(),
+      author: document.getElementById('formAuthor').value.trim(),
+      genre: document.getElementById('formGenre').value,
+      yearPublished: parseInt(document.getElementById('formYear').value) || null,
+      pageCount: parseInt(document.getElementById('formPages').value) || null,
+      coverImage: document.getElementById('formCover').value.trim(),
+      isbn: normalizeIsbn(document.getElementById('formIsbn').value),
+      format: document.getElementById('formFormat').value,
+      status: document.getElementById('formStatus').value,
+      datePurchased: document.getElementById('formDatePurchased').value,
+      dateStarted: document.getElementById('formDateStarted').value,
+      dateCompleted: document.getElementById('formDateCompleted').value,
+      loanDueDate: document.getElementById('formLoanDueDate').value,
+      currentPage: parseInt(document.getElementById('formCurrentPage').value) || null,
+      rating: parseFloat(document.getElementById('formRating').value) || null,
+      favorite: document.getElementById('formFavorite').checked,
+      tags: document.getElementById('formTags').value.split(',').map(t => t.trim()).filter(Boolean),
+      recommendedBy: document.getElementById('formRecommendedBy').value.trim(),
+      notes: document.getElementById('formNotes').value.trim(),
+      description: document.getElementById('formDescription').value.trim()
+    };
+    if (fields.isbn && fields.isbn.length !== 10 && fields.isbn.length !== 13) {
+      showToast('ISBN must be 10 or 13 digits');
+      return;
+    }
+
+    const save = () => {
+      closeModal('bookFormModal');
+      commitChange(isEdit ? 'Book updated' : 'Book added', () => {
+        if (isEdit) {
+          const idx = books.findIndex(b => b.id === id);
+          if (idx === -1) return;
+          // Keep fields the form doesn't edit (history, deletedAt, ...)
+          const updated = { ...books[idx], ...fields };
+          recordHistory(books[idx], updated, 'edit');
+          books[idx] = updated;
+        } else {
+          books.push(createBook({ id: generateId(), ...fields, dateAdded: today() }));
+        }
+      });
+    };
+
+    // Only check when title, author or ISBN changed, so saving a known duplicate again doesn't nag
+    const current = isEdit ? books.find(b => b.id === id) : null;
+    const identityChanged = !current ||
+      current.title !== fields.title || current.author !== fields.author || current.isbn !== fields.isbn;
+    const match = identityChanged && duplicateFinder(liveBooks())({ id, ...fields })[0];
+    if (match) {
+      showConfirmDialog(
+        'Possible Duplicate',
+        `This looks like "${match.title}" by ${match.author}, already in your library as ${STATUS_LABELS[match.status] || match.status}. Save anyway?`,
+        save,
+        'Save Anyway'
+      );
+      return;
+    }
+    save();
+  }
+
+  // ---- Open Library Search ----
+
+  async function searchOpenLibrary(query) {
+    if (!query.trim()) return;
+    const resultsDiv = document.getElementById('olResults');
+    resultsDiv.innerHTML = '<span class="loading"></span> Searching...';
+
+    try {
+      const resp = await fetch(`https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=5`);
+      const data = await resp.json();
+
+      if (!data.docs || data.docs.length === 0) {
+        resultsDiv.innerHTML = '<p style="color:var(--color-text-muted);font-size:13px;">No results found.</p>';
+        return;
+      }
+
+      resultsDiv.innerHTML = data.docs.map(doc => {
+        const coverUrl = doc.cover_edition_key
+          ? `https://covers.openlibrary.org/b/olid/${doc.cover_edition_key}-S.jpg`
+          : '';
+        const author = doc.author_name ? doc.author_name[0] : 'Unknown';
+        const year = doc.first_publish_year || '';
+        const pages = doc.number_of_pages_median || '';
+        const olid = doc.cover_edition_key || '';
+
+        return `
+          <div class="ol-result-item" data-title="${escapeAttr(doc.title)}" data-author="${escapeAttr(author)}" data-year="${year}" data-pages="${pages}" data-olid="${olid}">
+            ${coverUrl ? `<img src="${coverUrl}" alt="">` : '<div style="width:36px;height:52px;background:var(--color-surface-alt);border-radius:3px;"></div>'}
+            <div class="ol-result-info">
+              <div class="ol-result-title">${escapeHtml(doc.title)}</div>
+              <div class="ol-result-author">${escapeHtml(author)}</div>
+              ${year ? `<div class="ol-result-year">${year}</div>` : ''}
+            </div>
+          </div>`;
+      }).join('');
+
+      // Bind selection
+      resultsDiv.querySelectorAll('.ol-result-item').forEach(item => {
+        item.addEventListener('click', () => {
+          document.getElementById('formTitle').value = item.dataset.title;
+          document.getElementById('formAuthor').value = item.dataset.author;
+          if (item.dataset.year) document.getElementById('formYear').value = item.dataset.year;
+          if (item.dataset.pages) document.getElementById('formPages').value = item.dataset.pages;
+          if (item.dataset.olid) {
+            document.getElementById('formCover').value = `https://covers.openlibrary.org/b/olid/${item.dataset.olid}-M.jpg`;
+          }
+          resultsDiv.innerHTML = '';
+        });
+      });
+    } catch (err) {
+      resultsDiv.innerHTML = '<p style="color:var(--color-danger);font-size:13px;">Search failed. Try again.</p>';
+    }
+  }
+
+  // ---- Share Target ----
+  //
+  // The manifest registers the app as a share target: sharing a link or text
+  // to it opens share.html?title=…&text=…&url=…, which redirects to
+  // ./?admin=true&share-target&title=…  We open the Add form, guess a search
+  // query from what was shared, and run it.
+
+  function handleSharedBook() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('share-target')) return;
+
+    const shared = {
+      title: params.get('title') || '',
+      text: params.get('text') || '',
+      url: params.get('url') || '',
+    };
+
+    // Drop the share params so a reload doesn't re-open the form
+    ['share-target', 'title', 'text', 'url'].forEach(key => params.delete(key));
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+
+    if (!isAdmin) return;
+    try {
+      openSharedBook(shared);
+    } catch (err) {
+      logFailure('Failed to open shared item', err);
+      showToast("Couldn't read the shared item");
+    }
+  }
+
+  function openSharedBook(shared) {
+    // Some apps put the link in `text` rather than `url`
+    const link = shared.url || (shared.text.match(/https?:\/\/\S+/) || [''])[0];
+    const searchQuery = sharedSearchQuery(shared, link);
+
+    openAddForm();
+    // Keep where it came from — for a plain note, the note itself
+    if (link) document.getElementById('formNotes').value = `Shared from ${link}`;
+    else if (shared.text) document.getElementById('formNotes').value = shared.text.trim();
+    if (searchQuery) {
+      document.getElementById('olSearchInput').value = searchQuery;
+      searchOpenLibrary(searchQuery);
+    } else {
+      showToast('Nothing to search for in the shared item');
+    }
+  }
+
+  // Best-effort guess at "title author" from a shared page or snippet
+  function sharedSearchQuery(shared, link) {
+    const fromUrl = searchQueryFromUrl(link);
+    if (fromUrl) return fromUrl;
+
+    const text = [shared.title, shared.text]
+      .map(s => s.replace(/https?:\/\/\S+/g, '').trim())
+      .find(Boolean) || '';
+    return text
+      .split('\n')[0]
+      .replace(/^(check out|i'm reading|currently reading|just finished)\b[^:]*\bthis\b[^:]*:\s*/i, '')
+      .replace(/^(check out|i'm reading|currently reading|just finished)\s+/i, '')
+      .replace(/\s+(on|at|via|from)\s+(amazon|goodreads|(the )?storygraph)\b.*$/i, '')
+      .replace(/\s*[:|–—-]\s*(amazon\.\w+|goodreads|kindle store)\b.*$/i, '')
+      .replace(/["“”]/g, '')
+      .replace(/\bby\b/gi, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 120);
+  }
+
+  function searchQueryFromUrl(link) {
+    let url;
+    try {
+      url = new URL(link);
+    } catch {
+      return '';
+    }
+    const host = url.hostname.replace(/^www\./, '');
+    let path = url.pathname;
+    try {
+      path = decodeURIComponent(path);
+    } catch {
+      // A stray % (e.g. /100%-Book/) isn't an escape; match the raw path
+    }
+
+    // amazon.com/Title-Words-Author-Name/dp/0123456789
+    if (/(^|\.)amazon\./.test(host)) {
+      const m = path.match(/\/([^/]+)\/dp\/([A-Z0-9]{10})/i);
+      if (m) return m[1].replace(/-/g, ' ');
+      const asin = path.match(/\/(?:dp|gp\/product)\/(\d{9}[\dX])/i);
+      return asin ? asin[1] : ''; // book ASINs are ISBN-10s
+    }
+    // goodreads.com/book/show/12345.Title_Words or /12345-title-words
+    if (/(^|\.)goodreads\.com$/.test(host)) {
+      const m = path.match(/\/book\/show\/\d+[.-]([^/?]+)/);
+      return m ? m[1].replace(/[_-]/g, ' ') : '';
+    }
+    // openlibrary.org/works/OL123W/Title_Words
+    if (/(^|\.)openlibrary\.org$/.test(host)) {
+      const m = path.match(/\/(?:works|books)\/OL\w+\/([^/?]+)/);
+      return m ? m[1].replace(/_/g, ' ') : '';
+    }
+    return '';
+  }
+
+  // ---- CSV Importers ----
+  //
+  // Other apps' CSV exports are recognised by their header row. Each importer
+  // maps one CSV row (an object keyed by header) to book fields, or returns
+  // null to skip the row; the result goes through createBook() like any new book.
+
+  const IMPORTERS = [
+    {
+      id: 'goodreads',
+      label: 'Goodreads',
+      detect: (headers) => headers.includes('Exclusive Shelf') && headers.includes('Book Id'),
+      // Shown in the import preview
+      mapping: [
+        ['Title', 'title'],
+        ['Author', 'author'],
+        ['Exclusive Shelf', 'status'],
+        ['My Rating', 'rating'],
+        ['Date Read', 'dateCompleted'],
+        ['Date Added', 'dateAdded'],
+        ['Bookshelves', 'tags'],
+        ['Number of Pages', 'pageCount'],
+        ['Year Published', 'yearPublished'],
+        ['ISBN13 / ISBN', 'isbn'],
+        ['Binding', 'format'],
+        ['My Review / Private Notes', 'notes'],
+      ],
+      mapRow: mapGoodreadsRow,
+    },
+    {
+      id: 'storygraph',
+      label: 'StoryGraph',
+      detect: (headers) => headers.includes('Read Status') && headers.includes('Star Rating'),
+      mapping: [
+        ['Title', 'title'],
+        ['Authors', 'author'],
+        ['Read Status', 'status'],
+        ['Star Rating', 'rating'],
+        ['Last Date Read', 'dateCompleted'],
+        ['Dates Read', 'dateStarted'],
+        ['Date Added', 'dateAdded'],
+        ['Tags / Moods / Pace', 'tags'],
+        ['ISBN/UID', 'isbn'],
+        ['Format', 'format'],
+        ['Review', 'notes'],
+      ],
+      mapRow: mapStoryGraphRow,
+    },
+  ];
+
+  // Goodreads' built-in exclusive shelves; custom exclusive shelves are matched by name
+  const GOODREADS_SHELVES = {
+    'read': 'finished',
+    'currently-reading': 'reading',
+    'to-read': 'wishlist',
+  };
+
+  const GOODREADS_STATUS_SHELVES = ['wishlist', 'up-next', 'on-hold'];
+
+  function mapGoodreadsRow(row) {
+    const title = (row['Title'] || '').replace(/\s*\([^()]*#[\d.]+\)\s*$/, '').trim(); // drop "(Dune, #1)"
+    if (!title) return null;
+
+    const shelf = (row['Exclusive Shelf'] || '').trim().toLowerCase();
+    let status = GOODREADS_SHELVES[shelf];
+    if (!status) {
+      if (/hold|pause|abandon|dnf|did-not-finish/.test(shelf)) status = 'on-hold';
+      else if (/next|owned/.test(shelf)) status = 'up-next';
+      else status = 'wishlist';
+    }
+    const shelves = (row['Bookshelves'] || '').split(',').map(t => t.trim()).filter(Boolean);
+    // Goodreads has no Up Next / On Hold; our CSV export writes them as extra shelves
+    const statusShelf = shelves.find(t => GOODREADS_STATUS_SHELVES.includes(t));
+    if (status === 'wishlist' && statusShelf) {
+      status = statusShelf;
+    } else if (status === 'wishlist' && parseInt(row['Owned Copies']) > 0) {
+      // "to-read" but already owned means it's on the pile, not the wishlist
+      status = 'up-next';
+    }
+
+    const rating = parseInt(row['My Rating']);
+    const notes = [row['My Review'], row['Private Notes']]
+      .map(text => (text || '').replace(/<br\s*\/?>/gi, '\n').trim())
+      .filter(Boolean)
+      .join('\n\n');
+
+    return {
+      id: row['Book Id'] ? 'gr' + row['Book Id'].trim() : generateId(),
+      title,
+      author: (row['Author'] || '').trim(),
+      status,
+      rating: rating > 0 ? rating : null,
+      dateCompleted: csvDate(row['Date Read']),
+      dateAdded: csvDate(row['Date Added']) || today(),
+      tags: shelves.filter(t => t !== shelf && !GOODREADS_SHELVES[t] && !GOODREADS_STATUS_SHELVES.includes(t)),
+      pageCount: row['Number of Pages'],
+      yearPublished: row['Original Publication Year'] || row['Year Published'],
+      isbn: normalizeIsbn(row['ISBN13']) || normalizeIsbn(row['ISBN']),
+      format: goodreadsFormat(row['Binding']),
+      notes,
+    };
+  }
+
+  const STORYGRAPH_STATUSES = {
+    'read': 'finished',
+    'currently-reading': 'reading',
+    'to-read': 'wishlist',
+    'paused': 'on-hold',
+    'did-not-finish': 'on-hold',
+  };
+
+  // options.keepQuarterStars: keep 3.75 as-is instead of rounding to 4
+  function mapStoryGraphRow(row, options) {
+    const title = (row['Title'] || '').trim();
+    if (!title) return null;
+
+    const readStatus = (row['Read Status'] || '').trim().toLowerCase();
+    let status = STORYGRAPH_STATUSES[readStatus] || 'wishlist';
+    if (status === 'wishlist' && /^y/i.test(row['Owned?'] || '')) status = 'up-next';
+
+    const stars = parseFloat(row['Star Rating']);
+    let rating = null;
+    if (stars > 0) rating = options.keepQuarterStars ? Math.round(stars * 4) / 4 : Math.max(1, Math.round(stars));
+
+    // "2023/01/05-2023/02/10, 2024/03/01-2024/03/20" — the last read started where the last range starts
+    const lastRead = (row['Dates Read'] || '').split(',').pop().trim();
+
+    const listOf = (value) => (value || '').split(',').map(t => t.trim()).filter(Boolean);
+    const tags = [
+      ...listOf(row['Tags']),
+      ...listOf(row['Moods']).map(m => `mood:${m}`),
+      ...listOf(row['Pace']).map(p => `pace:${p}`),
+    ];
+    if (readStatus === 'did-not-finish') tags.push('did-not-finish');
+
+    // ISBN/UID is StoryGraph's own id when the edition has no ISBN
+    const uid = (row['ISBN/UID'] || '').trim();
+    const isbn = normalizeIsbn(uid);
+
+    return {
+      id: uid ? 'sg' + uid.replace(/[^A-Za-z0-9]/g, '') : generateId(),
+      title,
+      author: (row['Authors'] || '').trim(),
+      status,
+      rating,
+      dateCompleted: status === 'finished' ? csvDate(row['Last Date Read']) : '',
+      dateStarted: csvDate(lastRead),
+      dateAdded: csvDate(row['Date Added']) || today(),
+      tags,
+      isbn: isbn.length === 10 || isbn.length === 13 ? isbn : '',
+      format: { digital: 'Digital/Kindle', audio: 'Audiobook' }[(row['Format'] || '').trim().toLowerCase()] || '',
+      notes: (row['Review'] || '').trim(),
+    };
+  }
+
+  function goodreadsFormat(binding) {
+    const b = (binding || '').toLowerCase();
+    if (/kindle|ebook|e-book|nook/.test(b)) return 'Digital/Kindle';
+    if (/audio/.test(b)) return 'Audiobook';
+    return ''; // paperback/hardcover don't say whether it was bought new
+  }
+
+  // "2023/04/09" or "2023-04-09" -> "2023-04-09"
+  function csvDate(value) {
+    const m = String(value || '').trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+    return m ? `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}` : '';
+  }
+
+  // RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+  function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim()));
+  }
+
+  function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+      const str = value == null ? '' : String(value);
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Tabs in the header row mean TSV (spreadsheet copy-paste); otherwise commas
+  function guessDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    return header.split('\t').length > header.split(',').length ? '\t' : ',';
+  }
+
+  // Returns { importer, headers, rows, books, errors }. With no matching importer,
+  // `importer` is null and the rows are left for the column mapper.
+  function importCsv(text, options = {}) {
+    const [headers = [], ...cells] = parseCsv(text, guessDelimiter(text));
+    const trimmed = headers.map(h => h.trim());
+    const rows = cells.map(row => {
+      const obj = {};
+      trimmed.forEach((h, i) => { obj[h] = row[i] || ''; });
+      return obj;
+    });
+
+    const importer = IMPORTERS.find(imp => imp.detect(trimmed)) || null;
+    const result = { importer, headers: trimmed, rows, books: [], errors: [] };
+    if (!importer) {
+      result.mapping = guessColumnMapping(trimmed);
+      return result;
+    }
+    rows.forEach((row, i) => {
+      const fields = importer.mapRow(row, options);
+      if (fields) result.books.push(createBook(fields));
+      else result.errors.push({ row: i + 1, reasons: ['No title'] });
+    });
+    return result;
+  }
+
+  // ---- Spreadsheet Column Mapping ----
+  //
+  // CSV/TSV files that no importer recognises are mapped by hand: one column
+  // per book field, plus value mappings for fields with a fixed set of values
+  // ("Done" → finished). Mappings can be saved as presets, matched by header name.
+
+  // Fields the column mapper offers, in form order
+  const MAPPABLE_FIELDS = [
+    'title', 'author', 'genre', 'yearPublished', 'pageCount', 'format', 'status', 'rating',
+    'isbn', 'coverImage', 'datePurchased', 'dateStarted', 'dateCompleted', 'loanDueDate', 'currentPage',
+    'recommendedBy', 'tags', 'description', 'notes', 'favorite', 'dateAdded'
+  ];
+  const NUMBER_FIELDS = ['yearPublished', 'pageCount', 'rating', 'currentPage'];
+  const DATE_FIELDS = ['datePurchased', 'dateStarted', 'dateCompleted', 'loanDueDate', 'dateAdded'];
+
+  // Fields whose spreadsheet values are mapped onto one of these choices
+  const VALUE_MAPPED_FIELDS = {
+    status: STATUS_LABELS,
+    format: {
+      'Physical (New)': 'Physical (New)',
+      'Physical (Used)': 'Physical (Used)',
+      'Digital/Kindle': 'Digital/Kindle',
+      'Audiobook': 'Audiobook'
+    }
+  };
+
+  // Other common names for a column, normalized (lowercase, letters and digits only)
+  const COLUMN_ALIASES = {
+    title: ['book', 'booktitle', 'name'],
+    author: ['authors', 'writer', 'by'],
+    yearPublished: ['year', 'published', 'publicationyear'],
+    pageCount: ['pages', 'numberofpages', 'length'],
+    status: ['readstatus', 'state', 'shelf', 'exclusiveshelf'],
+    rating: ['myrating', 'stars', 'starrating', 'score'],
+    isbn: ['isbn13', 'isbn10'],
+    coverImage: ['cover', 'coverurl', 'image'],
+    dateStarted: ['started', 'startdate'],
+    dateCompleted: ['finished', 'finishedon', 'datefinished', 'dateread', 'readon', 'completed', 'enddate'],
+    loanDueDate: ['due', 'duedate', 'dueback', 'returnby'],
+    dateAdded: ['added'],
+    tags: ['tag', 'shelves', 'bookshelves', 'labels'],
+    recommendedBy: ['recommended', 'recommendation', 'source'],
+    notes: ['note', 'review', 'comments', 'myreview'],
+    favorite: ['favourite', 'toppick', 'starred'],
+  };
+
+  function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  function guessColumnMapping(headers) {
+    const columns = {};
+    MAPPABLE_FIELDS.forEach(field => {
+      const names = [field, FIELD_LABELS[field], ...(COLUMN_ALIASES[field] || [])].map(normalizeHeader);
+      const match = headers.find(h => names.includes(normalizeHeader(h)) && !Object.values(columns).includes(h));
+      if (match) columns[field] = match;
+    });
+    return { columns, values: { status: {}, format: {} } };
+  }
+
+  function guessMappedValue(field, raw) {
+    const value = raw.trim().toLowerCase();
+    const key = value.replace(/\s+/g, '-');
+    if (field === 'status') {
+      if (STATUS_LABELS[key]) return key;
+      const byLabel = Object.keys(STATUS_LABELS).find(s => STATUS_LABELS[s].toLowerCase() === value);
+      if (byLabel) return byLabel;
+      if (LEGACY_STATUSES[key]) return LEGACY_STATUSES[key];
+      if (/done|read$|finish|complete/.test(value)) return 'finished';
+      if (/reading|in progress|started/.test(value)) return 'reading';
+      if (/hold|pause|dnf|abandon/.test(value)) return 'on-hold';
+      if (/next|owned|to read|tbr/.test(value)) return 'up-next';
+      if (/want|wish|buy/.test(value)) return 'wishlist';
+      return '';
+    }
+    if (/kindle|ebook|e-book|digital/.test(value)) return 'Digital/Kindle';
+    if (/audio/.test(value)) return 'Audiobook';
+    if (/used|second/.test(value)) return 'Physical (Used)';
+    if (/paper|hard|physical|new|print/.test(value)) return 'Physical (New)';
+    return '';
+  }
+
+  // Distinct values of a mapped column, with guesses filled in for any not yet mapped
+  function mappedColumnValues(pending, field) {
+    const column = pending.mapping.columns[field];
+    if (!column) return [];
+    const values = [...new Set(pending.rows.map(row => (row[column] || '').trim()).filter(Boolean))];
+    const map = pending.mapping.values[field] || (pending.mapping.values[field] = {});
+    values.forEach(raw => {
+      if (!(raw in map)) map[raw] = guessMappedValue(field, raw);
+    });
+    return values;
+  }
+
+  // Spreadsheet dates: 2023-04-09, 2023/04/09, 4/9/2023 (US), or anything Date can parse ("Apr 9, 2023")
+  function parseDateValue(value) {
+    const iso = csvDate(value);
+    if (iso) return isIsoDate(iso) ? iso : '';
+    const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (us) {
+      const date = `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+      return isIsoDate(date) ? date : '';
     }
-    if (book.pageCount) {
-      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Pages</div><div class="detail-field-value">${book.pageCount}</div></div>`;
+    if (!/[a-z]/i.test(value)) return '';
+    const date = new Date(value);
+    if (isNaN(date)) return '';
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  // Returns { fields, reasons }; any reason means the row is left out
+  function mapSpreadsheetRow(row, mapping) {
+    const fields = {};
+    const reasons = [];
+
+    MAPPABLE_FIELDS.forEach(field => {
+      const column = mapping.columns[field];
+      const raw = column ? (row[column] || '').trim() : '';
+      if (!raw) return;
+      const label = FIELD_LABELS[field];
+
+      if (VALUE_MAPPED_FIELDS[field]) {
+        const mapped = (mapping.values[field] || {})[raw];
+        if (mapped) fields[field] = mapped;
+        else if (field === 'status') reasons.push(`${label} "${raw}" isn't mapped to a status`);
+      } else if (NUMBER_FIELDS.includes(field)) {
+        const n = toNumberOrNull(raw);
+        if (n == null) reasons.push(`${label} "${raw}" isn't a number`);
+        else if (field === 'rating' && n !== 0 && (n < 1 || n > 5)) reasons.push(`${label} "${raw}" isn't between 1 and 5`);
+        else fields[field] = field === 'rating' && n === 0 ? null : n;
+      } else if (DATE_FIELDS.includes(field)) {
+        const date = parseDateValue(raw);
+        if (date) fields[field] = date;
+        else reasons.push(`${label} "${raw}" isn't a date`);
+      } else if (field === 'isbn') {
+        const isbn = normalizeIsbn(raw);
+        if (isbn.length === 10 || isbn.length === 13) fields.isbn = isbn;
+        else reasons.push(`${label} "${raw}" isn't an ISBN-10 or ISBN-13`);
+      } else if (field === 'favorite') {
+        fields.favorite = /^(y|yes|true|1|x|✓)$/i.test(raw);
+      } else if (field === 'tags') {
+        fields.tags = raw.split(/[,;]/);
+      } else {
+        fields[field] = raw;
+      }
+    });
+
+    if (!fields.author) reasons.unshift('No author');
+    if (!fields.title) reasons.unshift('No title');
+    return { fields, reasons };
+  }
+
+  // Fills pending.books / pending.errors from the rows and the current mapping
+  function applySpreadsheetMapping(pending) {
+    pending.books = [];
+    pending.errors = [];
+    pending.rows.forEach((row, i) => {
+      const { fields, reasons } = mapSpreadsheetRow(row, pending.mapping);
+      if (reasons.length) pending.errors.push({ row: i + 1, reasons });
+      else pending.books.push(createBook({ ...fields, id: generateId() }));
+    });
+  }
+
+  // Presets: [{ name, columns: { field: header }, values: { field: { raw: value } } }]
+  let importPresets = null;
+
+  async function loadImportPresets() {
+    if (!importPresets) importPresets = (await store.getMeta('importPresets')) || [];
+    return importPresets;
+  }
+
+  function saveImportPresets() {
+    store.setMeta('importPresets', importPresets).catch(() => showToast("Couldn't save import mappings"));
+  }
+
+  // Only columns this file actually has are taken from the preset
+  function applyImportPreset(pending, preset) {
+    const columns = {};
+    Object.entries(preset.columns).forEach(([field, header]) => {
+      if (pending.headers.includes(header)) columns[field] = header;
+    });
+    pending.mapping = {
+      columns,
+      values: {
+        status: { ...preset.values.status },
+        format: { ...preset.values.format }
+      }
+    };
+  }
+
+  // ---- Kindle Clippings ----
+  //
+  // A Kindle's "My Clippings.txt" is one entry per highlight, note or bookmark,
+  // each ending in a line of ten "=":
+  //
+  //   Dune (Herbert, Frank)
+  //   - Your Highlight on page 12 | Location 170-172 | Added on Monday, March 4, 2019 10:15:32 PM
+  //
+  //   I must not fear.
+  //   ==========
+  //
+  // Highlights and notes are attached to the library book they fuzzy-match
+  // (same test as duplicate detection); books with no match are added as
+  // Digital/Kindle books. The import then goes through the usual preview.
+
+  function isKindleClippings(text) {
+    return /^==========\r?$/m.test(text) && /^-\s.*\|\s*Added on /m.test(text);
+  }
+
+  // "Herbert, Frank;Anderson, Kevin J." -> "Frank Herbert and Kevin J. Anderson"
+  function kindleAuthor(author) {
+    return author.split(';').map(name => {
+      const parts = name.split(',').map(p => p.trim()).filter(Boolean);
+      return parts.length === 2 ? `${parts[1]} ${parts[0]}` : parts.join(', ');
+    }).filter(Boolean).join(' and ');
+  }
+
+  // Returns { clippings: [{ title, author, highlight }], skipped } — bookmarks
+  // and entries that don't parse are counted in `skipped`
+  function parseKindleClippings(text) {
+    const clippings = [];
+    let skipped = 0;
+    text.replace(/\uFEFF/g, '').split(/^==========\r?$/m).forEach(entry => {
+      const lines = entry.replace(/^\s+/, '').split(/\r?\n/);
+      if (!lines[0]) return;
+      const meta = (lines[1] || '').match(/^-\s*(?:Your\s+)?(Highlight|Note|Bookmark)\b(.*)$/i);
+      const body = lines.slice(2).join('\n').trim();
+      if (!meta || meta[1].toLowerCase() === 'bookmark' || !body) {
+        skipped++;
+        return;
+      }
+      const heading = lines[0].trim().match(/^(.*?)\s*\(([^()]*)\)$/);
+      const page = meta[2].match(/\bpage\s+([\w-]+)/i);
+      const location = meta[2].match(/\b(?:Location|Loc\.)\s+([\d-]+)/i);
+      const added = meta[2].match(/Added on\s+(?:\w+,\s*)?(.+)$/i);
+      const date = added ? new Date(added[1].trim()) : null;
+      clippings.push({
+        title: heading ? heading[1] : lines[0].trim(),
+        author: heading ? kindleAuthor(heading[2]) : '',
+        highlight: {
+          type: meta[1].toLowerCase() === 'note' ? 'note' : 'highlight',
+          text: body,
+          page: page ? page[1] : '',
+          location: location ? location[1] : '',
+          // Local date, as the Kindle shows it
+          date: date && !isNaN(date) ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}` : ''
+        }
+      });
+    });
+    return { clippings, skipped };
+  }
+
+  // The same passage clipped twice (or imported twice) is kept once
+  function highlightKey(highlight) {
+    return `${highlight.type}|${highlight.location}|${highlight.page}|${highlight.text}`;
+  }
+
+  function mergeHighlights(existing, incoming) {
+    const seen = new Set(existing.map(highlightKey));
+    return existing.concat(incoming.filter(h => {
+      const key = highlightKey(h);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }));
+  }
+
+  // Builds the import's incoming books: matched library books with their new
+  // highlights added, and a new book for each title that matched nothing.
+  // A matched book's copy carries an `import` history entry, so the preview
+  // sees it as a later version of the local record rather than a conflict.
+  function importKindleClippings(text) {
+    const { clippings, skipped } = parseKindleClippings(text);
+    const findMatches = duplicateFinder(liveBooks());
+    const targets = new Map();
+    clippings.forEach(({ title, author, highlight }) => {
+      const match = findMatches({ id: '', title, author, isbn: '' })[0];
+      const key = match ? match.id : `${normalizeTitle(title)}|${foldText(author)}`;
+      if (!targets.has(key)) targets.set(key, { match, title, author, highlights: [] });
+      targets.get(key).highlights.push(highlight);
+    });
+
+    const incoming = [...targets.values()].map(({ match, title, author, highlights }) => {
+      if (!match) {
+        return createBook({
+          id: generateId(),
+          title,
+          author: author || 'Unknown',
+          format: 'Digital/Kindle',
+          status: 'up-next',
+          highlights: mergeHighlights([], highlights)
+        });
+      }
+      const updated = { ...match, highlights: mergeHighlights(match.highlights, highlights) };
+      recordHistory(match, updated, 'import');
+      return updated;
+    });
+    const matched = [...targets.values()].filter(target => target.match).length;
+    return {
+      importer: null,
+      kindle: { clippings: clippings.length, matched, added: targets.size - matched, skipped },
+      books: incoming,
+      errors: []
+    };
+  }
+
+  // ---- Import / Export ----
+
+  function openExportModal() {
+    document.getElementById('exportFormat').value = 'json';
+    document.getElementById('exportIncludeTrash').checked = false;
+    document.getElementById('exportScope').innerHTML = `
+      <option value="library">Whole library (${liveBooks().length})</option>
+      <option value="filtered"${isFilterActive() ? ' selected' : ''}>Current filter (${getFilteredBooks().length})</option>`;
+    renderReportOptions();
+    renderCalendarOptions();
+    updateExportOptions();
+    openModal('exportModal');
+  }
+
+  // Reports, citations and vaults can cover just the current filter, and never include the Trash
+  function updateExportOptions() {
+    const format = document.getElementById('exportFormat').value;
+    const isReport = format.startsWith('report-');
+    const isScoped = isReport || format.startsWith('cite-') || format === 'vault';
+    document.getElementById('reportOptions').hidden = !isReport;
+    document.getElementById('calendarOptions').hidden = format !== 'ics';
+    document.getElementById('exportScopeGroup').hidden = !isScoped;
+    document.getElementById('exportTrashOption').hidden = isScoped || format === 'ics' || format.startsWith('feed-');
+  }
+
+  // The books a report or citation export covers, in the page's sort order
+  function exportScopeBooks() {
+    return document.getElementById('exportScope').value === 'filtered'
+      ? getFilteredBooks()
+      : sortBooks(liveBooks(), filterState.sort);
+  }
+
+  function exportBooks() {
+    const format = document.getElementById('exportFormat').value;
+    if (format === 'feed-atom' || format === 'feed-json') {
+      // Feeds describe the published site, so links point at it rather than at ?admin=true
+      const siteUrl = new URL('./', window.location.href).href;
+      if (format === 'feed-atom') {
+        downloadFile(ReadingListFeed.atomFeed(liveBooks(), siteUrl), 'feed.xml', 'application/atom+xml');
+      } else {
+        downloadFile(ReadingListFeed.jsonFeed(liveBooks(), siteUrl), 'feed.json', 'application/feed+json');
+      }
+      closeModal('exportModal');
+      showToast('Exported successfully');
+      return;
     }
-    if (book.datePurchased) {
-      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Date Purchased</div><div class="detail-field-value">${book.datePurchased}</div></div>`;
+    if (format === 'ics') {
+      const statuses = new Set([...document.querySelectorAll('#calendarStatuses input:checked')].map(input => input.value));
+      const kinds = new Set([...document.querySelectorAll('#calendarEvents input:checked')].map(input => input.value));
+      const events = calendarEvents(liveBooks().filter(b => statuses.has(b.status)), kinds);
+      const skipped = events.skipped ? ` (${events.skipped} invalid date${events.skipped === 1 ? '' : 's'} skipped)` : '';
+      if (events.length === 0) {
+        showToast(`No dates to export for those statuses${skipped}`);
+        return;
+      }
+      downloadFile(icsCalendar(events), `reading-list-${today()}.ics`, 'text/calendar');
+      closeModal('exportModal');
+      showToast(`Exported ${events.length} event${events.length === 1 ? '' : 's'}${skipped}`);
+      return;
     }
-    if (book.dateStarted) {
-      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Date Started</div><div class="detail-field-value">${book.dateStarted}</div></div>`;
+    if (format === 'vault') {
+      const list = exportScopeBooks();
+      if (list.length === 0) {
+        showToast('No books to export');
+        return;
+      }
+      downloadFile(zipFiles(vaultFiles(list)), `reading-list-vault-${today()}.zip`, 'application/zip');
+      closeModal('exportModal');
+      showToast('Exported successfully');
+      return;
     }
-    if (book.dateCompleted) {
-      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Date Completed</div><div class="detail-field-value">${book.dateCompleted}</div></div>`;
+    if (format.startsWith('cite-')) {
+      const list = exportScopeBooks();
+      if (list.length === 0) {
+        showToast('No books to export');
+        return;
+      }
+      const citation = CITATION_FORMATS[format.slice('cite-'.length)];
+      downloadFile(citation.build(list), `reading-list-citations-${today()}.${citation.extension}`, citation.type);
+      closeModal('exportModal');
+      showToast('Exported successfully');
+      return;
     }
-    if ((book.status === 'reading' || book.status === 'on-hold') && book.currentPage) {
-      const progressStr = book.pageCount ? `${book.currentPage} / ${book.pageCount}` : `Page ${book.currentPage}`;
-      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Progress</div><div class="detail-field-value">${progressStr}</div></div>`;
+    if (format.startsWith('report-')) {
+      const report = buildReport(readReportOptions());
+      if (report.count === 0) {
+        showToast('No books to export');
+        return;
+      }
+      if (format === 'report-html') {
+        downloadFile(reportHtml(report), `reading-list-report-${today()}.html`, 'text/html');
+      } else {
+        downloadFile(reportMarkdown(report), `reading-list-report-${today()}.md`, 'text/markdown');
+      }
+      closeModal('exportModal');
+      showToast('Exported successfully');
+      return;
+    }
+    const includeTrash = document.getElementById('exportIncludeTrash').checked;
+    const list = includeTrash ? books : liveBooks();
+    if (format === 'goodreads-csv') {
+      downloadFile(goodreadsCsv(list), `reading-list-goodreads-${today()}.csv`, 'text/csv');
+    } else {
+      downloadLibraryJson(list);
     }
+    closeModal('exportModal');
+    showToast('Exported successfully');
+  }
 
-    if (book.description) {
-      fieldsHtml += `<div class="detail-field"><div class="detail-field-label">Description</div><div class="detail-field-value">${escapeHtml(book.description)}</div></div>`;
+  function downloadLibraryJson(list) {
+    const json = JSON.stringify({ schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), books: list }, null, 2);
+    downloadFile(json, `reading-list-${today()}.json`, 'application/json');
+  }
+
+  // Every import is previewed first; this holds the parsed file until it's applied
+  let pendingImport = null;
+
+  // Goodreads' own export layout, which its importer (and StoryGraph's) reads back.
+  // Statuses Goodreads has no shelf for go to to-read plus a same-named shelf.
+  const GOODREADS_CSV_COLUMNS = [
+    'Book Id', 'Title', 'Author', 'ISBN', 'ISBN13', 'My Rating', 'Binding', 'Number of Pages',
+    'Year Published', 'Original Publication Year', 'Date Read', 'Date Added',
+    'Bookshelves', 'Exclusive Shelf', 'My Review', 'Read Count', 'Owned Copies'
+  ];
+
+  const STATUS_TO_GOODREADS_SHELF = {
+    'finished': 'read',
+    'reading': 'currently-reading',
+    'wishlist': 'to-read',
+    'up-next': 'to-read',
+    'on-hold': 'to-read',
+  };
+
+  function goodreadsCsv(list) {
+    const rows = list.map((book) => {
+      const shelf = STATUS_TO_GOODREADS_SHELF[book.status] || 'to-read';
+      // Goodreads shelf names are lowercase letters, digits, - and _
+      const shelves = book.tags.map(t => t.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9_-]/g, '')).filter(Boolean);
+      if (shelf === 'to-read' && book.status !== 'wishlist') shelves.unshift(book.status);
+
+      return [
+        /^gr\d+$/.test(book.id) ? book.id.slice(2) : '',
+        book.title,
+        book.author,
+        book.isbn.length === 10 ? book.isbn : '',
+        book.isbn.length === 13 ? book.isbn : '',
+        book.rating ? Math.round(book.rating) : 0,
+        { 'Digital/Kindle': 'Kindle Edition', 'Audiobook': 'Audiobook' }[book.format] || '',
+        book.pageCount || '',
+        book.yearPublished || '',
+        book.yearPublished || '',
+        goodreadsDate(book.dateCompleted),
+        goodreadsDate(book.dateAdded),
+        shelves.join(', '),
+        shelf,
+        book.notes,
+        book.status === 'finished' ? 1 : 0,
+        book.datePurchased ? 1 : 0,
+      ];
+    });
+    return toCsv([GOODREADS_CSV_COLUMNS, ...rows]);
+  }
+
+  // "2023-04-09" -> "2023/04/09"
+  function goodreadsDate(date) {
+    return (date || '').replace(/-/g, '/');
+  }
+
+  function openImportModal() {
+    document.getElementById('importTextarea').value = '';
+    document.getElementById('importFile').value = '';
+    document.getElementById('importReplace').checked = false;
+    document.getElementById('importIncludeTrash').checked = true;
+    document.getElementById('importQuarterStars').checked = false;
+    resetImportPreview();
+    openModal('importModal');
+  }
+
+  function resetImportPreview() {
+    pendingImport = null;
+    const preview = document.getElementById('importPreview');
+    preview.hidden = true;
+    preview.innerHTML = '';
+    document.getElementById('doImportBtn').textContent = 'Preview';
+    document.getElementById('doImportBtn').disabled = false;
+  }
+
+  // First click parses the file and shows the preview; the second applies it
+  async function doImport() {
+    if (pendingImport) {
+      refreshImportComparison();
+      commitImport(planImport(pendingImport, importReplaces()));
+      return;
     }
 
-    let notesHtml = '';
-    if (book.notes) {
-      notesHtml = `<div class="detail-field"><div class="detail-field-label">Notes</div><div class="detail-notes">${escapeHtml(book.notes)}</div></div>`;
+    const file = document.getElementById('importFile').files[0];
+    const text = document.getElementById('importTextarea').value.trim();
+    const includeTrash = document.getElementById('importIncludeTrash').checked;
+
+    let content;
+    if (file) {
+      content = await file.text();
+    } else if (text) {
+      content = text;
+    } else {
+      showToast('No data to import');
+      return;
     }
 
-    // Status dropdown
-    const statusOptions = Object.entries(STATUS_LABELS).map(([val, label]) =>
-      `<option value="${val}" ${book.status === val ? 'selected' : ''}>${label}</option>`
+    if (isKindleClippings(content)) {
+      pendingImport = importKindleClippings(content);
+      if (pendingImport.books.length === 0) {
+        resetImportPreview();
+        showToast('No highlights or notes found in that file');
+        return;
+      }
+      renderImportPreview();
+      return;
+    }
+
+    // Anything else that doesn't look like JSON is treated as CSV/TSV
+    if (!/^\s*[[{]/.test(content)) {
+      pendingImport = importCsv(content, {
+        keepQuarterStars: document.getElementById('importQuarterStars').checked,
+      });
+      if (pendingImport.rows.length === 0) {
+        resetImportPreview();
+        showToast('No rows found in that file');
+        return;
+      }
+      if (!pendingImport.importer) await loadImportPresets();
+      renderImportPreview();
+      return;
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(content);
+    } catch {
+      showToast('Import failed — invalid JSON');
+      return;
+    }
+
+    let data;
+    const errors = [];
+    try {
+      data = parseLibraryJson(raw, errors);
+    } catch (err) {
+      showToast(err.message);
+      return;
+    }
+    if (!includeTrash) data = data.filter(b => !b.deletedAt);
+    pendingImport = { importer: null, books: data, errors };
+    renderImportPreview();
+  }
+
+  function renderImportPreview() {
+    const preview = document.getElementById('importPreview');
+    preview.hidden = false;
+    pendingImport.resolutions = pendingImport.resolutions || {};
+    pendingImport.fieldChoices = pendingImport.fieldChoices || {};
+    if (pendingImport.mapping) {
+      renderColumnMapper();
+      return;
+    }
+
+    const { importer, kindle, books: incoming } = pendingImport;
+    let sourceHtml = `<p class="import-preview-summary">JSON — ${incoming.length} book${incoming.length === 1 ? '' : 's'}</p>`;
+    if (kindle) {
+      sourceHtml = `
+        <p class="import-preview-summary">Kindle clippings — ${kindle.clippings} highlight${kindle.clippings === 1 ? '' : 's'} and notes from ${incoming.length} book${incoming.length === 1 ? '' : 's'}</p>
+        <p class="modal-hint">${kindle.matched} matched a book in your library; ${kindle.added} will be added as Digital/Kindle books.${kindle.skipped ? ` ${kindle.skipped} bookmark${kindle.skipped === 1 ? '' : 's'} or empty clipping${kindle.skipped === 1 ? '' : 's'} skipped.` : ''}</p>`;
+    } else if (importer) {
+      const mappingRows = importer.mapping.map(([column, field]) =>
+        `<tr><td>${escapeHtml(column)}</td><td>${escapeHtml(FIELD_LABELS[field] || field)}</td></tr>`
+      ).join('');
+      sourceHtml = `
+        <p class="import-preview-summary">${escapeHtml(importer.label)} export — ${incoming.length} book${incoming.length === 1 ? '' : 's'}</p>
+        <details class="import-mapping">
+          <summary>Column mapping</summary>
+          <table class="import-table"><thead><tr><th>${escapeHtml(importer.label)} column</th><th>Field</th></tr></thead><tbody>${mappingRows}</tbody></table>
+        </details>`;
+    }
+    preview.innerHTML = `${sourceHtml}<div id="importMappedResult"></div>`;
+    renderMappedResult();
+  }
+
+  // Mapped books (CSV only), the rows that couldn't be imported, and how
+  // each incoming book compares with the library
+  function importResultHtml() {
+    const { books: incoming, errors } = pendingImport;
+    const PREVIEW_ROWS = 50;
+    const MAX_ERRORS = 100;
+
+    const bookRows = incoming.slice(0, PREVIEW_ROWS).map(b => `
+      <tr>
+        <td>${escapeHtml(b.title)}</td>
+        <td>${escapeHtml(b.author)}</td>
+        <td>${STATUS_LABELS[b.status] || escapeHtml(b.status)}</td>
+        <td>${b.rating ? '★'.repeat(Math.floor(b.rating)) + (b.rating % 1 ? ` ${b.rating}` : '') : ''}</td>
+        <td>${b.dateCompleted}</td>
+        <td>${escapeHtml(b.tags.join(', '))}</td>
+      </tr>`).join('');
+
+    const errorItems = errors.slice(0, MAX_ERRORS).map(e =>
+      `<li><strong>Row ${e.row}:</strong> ${escapeHtml(e.reasons.join('; '))}</li>`
     ).join('');
 
-    body.innerHTML = `
-      <div class="detail-header">
-        <div class="detail-cover">${coverHtml}</div>
-        <div class="detail-meta">
-          <h3>${escapeHtml(book.title)}</h3>
-          <div class="detail-author">${escapeHtml(book.author)}</div>
-          ${ratingHtml}
-          <div class="detail-badges">${badges.join('')}</div>
+    return `
+      ${incoming.length && pendingImport.rows ? `
+      <div class="import-table-wrap">
+        <table class="import-table">
+          <thead><tr><th>Title</th><th>Author</th><th>Status</th><th>Rating</th><th>Finished</th><th>Tags</th></tr></thead>
+          <tbody>${bookRows}</tbody>
+        </table>
+      </div>
+      ${incoming.length > PREVIEW_ROWS ? `<p class="modal-hint">…and ${incoming.length - PREVIEW_ROWS} more</p>` : ''}` : ''}
+      ${errors.length ? `
+      <div class="import-errors">
+        <p>${errors.length} row${errors.length === 1 ? '' : 's'} can't be imported and will be skipped:</p>
+        <ul>${errorItems}</ul>
+        ${errors.length > MAX_ERRORS ? `<p class="modal-hint">…and ${errors.length - MAX_ERRORS} more</p>` : ''}
+      </div>` : ''}
+      ${pendingImport.repairs.length ? `
+      <details class="import-group import-repairs">
+        <summary>${pendingImport.repairs.length} record${pendingImport.repairs.length === 1 ? ' has' : 's have'} data problems and will be repaired</summary>
+        <ul>${problemListHtml(pendingImport.repairs)}</ul>
+      </details>` : ''}
+      ${importComparisonHtml()}`;
+  }
+
+  function importComparisonHtml() {
+    const { classified } = pendingImport;
+    const byKind = (kind) => classified.filter(item => item.kind === kind);
+    const added = byKind('new').filter(item => !item.duplicateOf);
+    const duplicates = byKind('new').filter(item => item.duplicateOf);
+    const identical = byKind('identical');
+    const changed = byKind('changed');
+    const conflicts = byKind('conflict');
+    const localOnly = books.filter(b => !classified.some(item => item.incoming.id === b.id)).length;
+
+    const counts = [
+      `<span class="import-count import-count-new">${added.length} new</span>`,
+      duplicates.length ? `<span class="import-count import-count-changed">${duplicates.length} possible duplicate${duplicates.length === 1 ? '' : 's'}</span>` : '',
+      `<span class="import-count">${identical.length} identical</span>`,
+      `<span class="import-count import-count-changed">${changed.length} changed</span>`,
+      `<span class="import-count import-count-conflict">${conflicts.length} conflicting</span>`,
+    ].join('');
+
+    const newList = added.length ? `
+      <details class="import-group">
+        <summary>${added.length} new book${added.length === 1 ? '' : 's'}</summary>
+        <ul class="import-new-list">${added.map(item => `<li>${escapeHtml(item.incoming.title)} <span class="import-muted">— ${escapeHtml(item.incoming.author)}</span></li>`).join('')}</ul>
+      </details>` : '';
+
+    const duplicateList = duplicates.length ? `
+      <div class="import-group">
+        <h3>Possible duplicates</h3>
+        <p class="modal-hint">These have new ids but look like books already in your library or earlier in this file.</p>
+        ${duplicates.map(item => {
+          const id = item.incoming.id;
+          const option = (value, label) =>
+            `<label><input type="radio" name="import-dup-${pendingImport.classified.indexOf(item)}" data-import-resolve="${escapeAttr(id)}" value="${value}"${pendingImport.resolutions[id] === value ? ' checked' : ''}> ${label}</label>`;
+          return `
+            <div class="import-diff">
+              <div class="import-diff-header">
+                <span><strong>${escapeHtml(item.incoming.title)}</strong> <span class="import-muted">— ${escapeHtml(item.incoming.author)}</span></span>
+                <span class="import-resolve">${option('skip', 'Skip')}${option('add', 'Add anyway')}</span>
+              </div>
+              <div class="import-muted">Looks like "${escapeHtml(item.duplicateOf.title)}" by ${escapeHtml(item.duplicateOf.author)} (${item.inFile ? 'earlier in this file' : STATUS_LABELS[item.duplicateOf.status] || escapeHtml(item.duplicateOf.status)})</div>
+            </div>`;
+        }).join('')}
+      </div>` : '';
+
+    const changedList = changed.length ? `
+      <div class="import-group">
+        <h3>Changed</h3>
+        <p class="modal-hint">These are newer versions of books in your library.</p>
+        ${changed.map(item => importDiffHtml(item)).join('')}
+      </div>` : '';
+
+    const conflictList = conflicts.length ? `
+      <div class="import-group">
+        <h3>Conflicts</h3>
+        <p class="modal-hint">These books differ from the file and it isn't clear which is newer. Taking incoming keeps local values the file leaves empty.</p>
+        ${conflicts.map(item => importDiffHtml(item)).join('')}
+      </div>` : '';
+
+    return `
+      <div class="import-comparison">
+        <div class="import-counts">${counts}</div>
+        ${importReplaces() && localOnly
+          ? `<p class="import-errors">Replace mode: ${localOnly} book${localOnly === 1 ? '' : 's'} in your library ${localOnly === 1 ? "isn't" : "aren't"} in this file and will be removed.</p>`
+          : ''}
+        ${newList}${duplicateList}${changedList}${conflictList}
+      </div>`;
+  }
+
+  // Field diff for a changed or conflicting book, with its resolution controls
+  function importDiffHtml(item) {
+    const id = item.incoming.id;
+    const choice = pendingImport.resolutions[id];
+    const fieldChoice = pendingImport.fieldChoices[id] || {};
+    const name = `import-${pendingImport.classified.indexOf(item)}`;
+
+    const rows = item.fields.map(field => `
+      <tr>
+        <td class="history-field">${escapeHtml(FIELD_LABELS[field] || field)}</td>
+        <td><label><input type="radio" name="${name}-${field}" data-import-field="${escapeAttr(field)}" data-import-id="${escapeAttr(id)}" value="local"${fieldChoice[field] !== 'incoming' ? ' checked' : ''}> ${escapeHtml(formatFieldValue(field, item.local[field]))}</label></td>
+        <td><label><input type="radio" name="${name}-${field}" data-import-field="${escapeAttr(field)}" data-import-id="${escapeAttr(id)}" value="incoming"${fieldChoice[field] === 'incoming' ? ' checked' : ''}> ${escapeHtml(formatFieldValue(field, item.incoming[field]))}</label></td>
+      </tr>`).join('');
+
+    const option = (value, label) =>
+      `<label><input type="radio" name="${name}" data-import-resolve="${escapeAttr(id)}" value="${value}"${choice === value ? ' checked' : ''}> ${label}</label>`;
+
+    return `
+      <div class="import-diff${choice === 'merge' ? ' merging' : ''}">
+        <div class="import-diff-header">
+          <strong>${escapeHtml(item.local.title)}</strong>
+          <span class="import-resolve">${option('local', 'Keep local')}${option('incoming', 'Take incoming')}${option('merge', 'Merge fields')}</span>
         </div>
+        <table class="import-table">
+          <thead><tr><th>Field</th><th>Local</th><th>Incoming</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+  }
+
+  // Clippings only ever add to the library, so Replace doesn't apply to them
+  function importReplaces() {
+    return document.getElementById('importReplace').checked && !(pendingImport && pendingImport.kindle);
+  }
+
+  function updateImportButton() {
+    const plan = planImport(pendingImport, importReplaces());
+    const btn = document.getElementById('doImportBtn');
+    btn.textContent = plan.total ? `Apply: ${importPlanSummary(plan)}` : 'Nothing to import';
+    btn.disabled = plan.total === 0;
+  }
+
+  function renderColumnMapper() {
+    const { headers, rows, mapping } = pendingImport;
+    const columnOptions = (selected) => '<option value="">—</option>' + headers.map(h =>
+      `<option value="${escapeAttr(h)}"${h === selected ? ' selected' : ''}>${escapeHtml(h)}</option>`
+    ).join('');
+
+    document.getElementById('importPreview').innerHTML = `
+      <p class="import-preview-summary">Spreadsheet — ${rows.length} row${rows.length === 1 ? '' : 's'}, ${headers.length} column${headers.length === 1 ? '' : 's'}. Choose the column for each field.</p>
+      <div class="import-presets">
+        <select id="importPresetSelect">
+          <option value="">Saved mappings…</option>
+          ${importPresets.map((p, i) => `<option value="${i}">${escapeHtml(p.name)}</option>`).join('')}
+        </select>
+        <button type="button" class="btn btn-subtle btn-small" id="importPresetDeleteBtn">Delete</button>
+        <input type="text" id="importPresetName" placeholder="Name this mapping">
+        <button type="button" class="btn btn-subtle btn-small" id="importPresetSaveBtn">Save Mapping</button>
       </div>
-      ${fieldsHtml}
-      ${notesHtml}
-      <div class="detail-actions">
-        ${isAdmin ? `<select class="detail-status-select" id="detailStatusSelect">${statusOptions}</select>
-        <button class="btn btn-subtle btn-small" id="editBookBtn">Edit</button>
-        <button class="btn btn-danger btn-small" id="deleteBookBtn">Delete</button>` : ''}
-        <a href="${amazonSearchUrl(book)}" target="_blank" rel="noopener noreferrer" class="btn btn-subtle btn-small detail-amazon-link">Find on Amazon</a>
+      <div class="import-mapper">
+        ${MAPPABLE_FIELDS.map(field => `
+          <label class="import-mapper-field">
+            <span>${escapeHtml(FIELD_LABELS[field])}</span>
+            <select data-map-field="${field}">${columnOptions(mapping.columns[field])}</select>
+          </label>`).join('')}
       </div>
-    `;
+      <div id="importValueMaps"></div>
+      <div id="importMappedResult"></div>`;
+    renderValueMaps();
+  }
+
+  function renderValueMaps() {
+    const sections = Object.keys(VALUE_MAPPED_FIELDS).map(field => {
+      const values = mappedColumnValues(pendingImport, field);
+      if (!values.length) return '';
+      const choices = VALUE_MAPPED_FIELDS[field];
+      const map = pendingImport.mapping.values[field];
+      const rows = values.map(raw => `
+        <tr>
+          <td>${escapeHtml(raw)}</td>
+          <td>
+            <select data-value-field="${field}" data-raw="${escapeAttr(raw)}">
+              <option value="">${field === 'status' ? 'Choose…' : '(leave blank)'}</option>
+              ${Object.entries(choices).map(([value, label]) =>
+                `<option value="${escapeAttr(value)}"${map[raw] === value ? ' selected' : ''}>${escapeHtml(label)}</option>`
+              ).join('')}
+            </select>
+          </td>
+        </tr>`).join('');
+      return `
+        <table class="import-table import-value-map">
+          <thead><tr><th>${escapeHtml(FIELD_LABELS[field])} in file</th><th>Becomes</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>`;
+    }).join('');
+    document.getElementById('importValueMaps').innerHTML = sections;
+    renderMappedResult();
+  }
+
+  function renderMappedResult() {
+    if (pendingImport.mapping) applySpreadsheetMapping(pendingImport);
+    if (pendingImport.checkedBooks !== pendingImport.books) {
+      const { books: repaired, reports } = checkLibrary(pendingImport.books);
+      pendingImport.books = pendingImport.checkedBooks = repaired;
+      pendingImport.repairs = reports;
+    }
+    refreshImportComparison();
+    document.getElementById('importMappedResult').innerHTML = importResultHtml();
+    updateImportButton();
+  }
+
+  function handleImportPreviewChange(e) {
+    if (!pendingImport) return;
+    const target = e.target;
+    if (target.dataset.importResolve) {
+      pendingImport.resolutions[target.dataset.importResolve] = target.value;
+      target.closest('.import-diff').classList.toggle('merging', target.value === 'merge');
+      updateImportButton();
+    } else if (target.dataset.importField) {
+      // Picking a side for one field means merging field by field
+      const id = target.dataset.importId;
+      pendingImport.fieldChoices[id][target.dataset.importField] = target.value;
+      pendingImport.resolutions[id] = 'merge';
+      const diff = target.closest('.import-diff');
+      diff.querySelector('[data-import-resolve][value="merge"]').checked = true;
+      diff.classList.add('merging');
+      updateImportButton();
+    } else if (!pendingImport.mapping) {
+      return;
+    } else if (target.dataset.mapField) {
+      if (target.value) pendingImport.mapping.columns[target.dataset.mapField] = target.value;
+      else delete pendingImport.mapping.columns[target.dataset.mapField];
+      renderValueMaps();
+    } else if (target.dataset.valueField) {
+      pendingImport.mapping.values[target.dataset.valueField][target.dataset.raw] = target.value;
+      renderMappedResult();
+    } else if (target.id === 'importPresetSelect' && target.value !== '') {
+      const preset = importPresets[parseInt(target.value)];
+      applyImportPreset(pendingImport, preset);
+      renderColumnMapper();
+      document.getElementById('importPresetSelect').value = target.value;
+      document.getElementById('importPresetName').value = preset.name;
+    }
+  }
+
+  function handleImportMapperClick(e) {
+    if (!pendingImport || !pendingImport.mapping) return;
+    if (e.target.id === 'importPresetSaveBtn') {
+      const name = document.getElementById('importPresetName').value.trim();
+      if (!name) {
+        showToast('Give the mapping a name first');
+        return;
+      }
+      const preset = {
+        name,
+        columns: { ...pendingImport.mapping.columns },
+        values: JSON.parse(JSON.stringify(pendingImport.mapping.values))
+      };
+      const idx = importPresets.findIndex(p => p.name === name);
+      if (idx === -1) importPresets.push(preset);
+      else importPresets[idx] = preset;
+      saveImportPresets();
+      renderColumnMapper();
+      document.getElementById('importPresetSelect').value = String(idx === -1 ? importPresets.length - 1 : idx);
+      document.getElementById('importPresetName').value = name;
+      showToast(`Saved mapping "${name}"`);
+    } else if (e.target.id === 'importPresetDeleteBtn') {
+      const selected = document.getElementById('importPresetSelect').value;
+      if (selected === '') return;
+      const [removed] = importPresets.splice(parseInt(selected), 1);
+      saveImportPresets();
+      renderColumnMapper();
+      showToast(`Deleted mapping "${removed.name}"`);
+    }
+  }
+
+  // new: not in the library. identical: same field values. changed: the local
+  // record's history is a strict prefix of the incoming one's, so the file holds a
+  // later version of it. conflict: anything else — both sides changed, or we can't
+  // tell (equal histories, e.g. a CSV or seed file over books never edited here).
+  // New books that look like a book already in the library, or like a new book
+  // earlier in the same file, carry it as `duplicateOf` (with `inFile` for the latter).
+  function classifyImport(incoming) {
+    const localById = new Map(books.map(b => [b.id, b]));
+    const findDuplicates = duplicateFinder(liveBooks());
+    const byId = new Map(incoming.map(b => [b.id, b])); // a repeated id: the last one wins
+    const newBooks = [...byId.values()].filter(book => !localById.has(book.id));
+    const findInFile = duplicateFinder(newBooks);
+    const position = new Map(newBooks.map((book, i) => [book, i]));
+    return [...byId.values()].map(book => {
+      const local = localById.get(book.id);
+      if (!local) {
+        const inLibrary = findDuplicates(book)[0];
+        if (inLibrary) return { kind: 'new', incoming: book, duplicateOf: inLibrary };
+        const earlier = findInFile(book).find(other => position.get(other) < position.get(book));
+        return { kind: 'new', incoming: book, duplicateOf: earlier || null, inFile: !!earlier };
+      }
+      const fields = changedFields(local, book);
+      if (fields.length === 0) return { kind: 'identical', local, incoming: book };
+      const kind = historyExtends(book.history, local.history) ? 'changed' : 'conflict';
+      return { kind, local, incoming: book, fields };
+    });
+  }
+
+  function historyExtends(history, base) {
+    return history.length > base.length &&
+      base.every((entry, i) => JSON.stringify(entry) === JSON.stringify(history[i]));
+  }
+
+  // Re-classifies against the current library, keeping choices already made.
+  // Changed books default to the incoming version, conflicts to the local one,
+  // likely duplicates to being skipped; when merging, a field starts on the
+  // incoming side only if it's empty locally.
+  function refreshImportComparison() {
+    const { resolutions, fieldChoices } = pendingImport;
+    pendingImport.classified = classifyImport(pendingImport.books);
+    pendingImport.classified.forEach(item => {
+      const id = item.incoming.id;
+      if (item.duplicateOf && !resolutions[id]) resolutions[id] = 'skip';
+      if (item.kind !== 'changed' && item.kind !== 'conflict') return;
+      if (!resolutions[id]) resolutions[id] = item.kind === 'changed' ? 'incoming' : 'local';
+      fieldChoices[id] = fieldChoices[id] || {};
+      item.fields.forEach(field => {
+        if (!fieldChoices[id][field]) fieldChoices[id][field] = isBlankValue(item.local[field]) ? 'incoming' : 'local';
+      });
+    });
+  }
+
+  function isBlankValue(value) {
+    return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+  }
+
+  // What applying the import would do with the current choices
+  function planImport(pending, replace) {
+    const plan = { added: 0, updated: 0, keptLocal: 0, unchanged: 0, removed: 0, duplicates: 0 };
+    const updates = new Map();
+    const isSkipped = (item) => item.duplicateOf && pending.resolutions[item.incoming.id] === 'skip';
+    pending.classified.forEach(item => {
+      if (item.kind === 'new' && isSkipped(item)) {
+        plan.duplicates++;
+      } else if (item.kind === 'new') {
+        plan.added++;
+      } else if (item.kind === 'identical') {
+        plan.unchanged++;
+      } else {
+        const book = resolveImportItem(pending, item);
+        if (book) {
+          updates.set(item.local.id, { item, book });
+          plan.updated++;
+        } else {
+          plan.keptLocal++;
+        }
+      }
+    });
+
+    const incomingIds = new Set(pending.classified.map(item => item.incoming.id));
+    plan.books = books
+      .filter(b => {
+        if (!replace || incomingIds.has(b.id)) return true;
+        plan.removed++;
+        return false;
+      })
+      .map(b => (updates.has(b.id) ? updates.get(b.id).book : b))
+      .concat(pending.classified.filter(item => item.kind === 'new' && !isSkipped(item)).map(item => item.incoming));
+    plan.updates = [...updates.values()];
+    plan.total = plan.added + plan.updated + plan.removed;
+    return plan;
+  }
+
+  // The book to store for a changed/conflicting item, or null to keep the local one
+  function resolveImportItem(pending, item) {
+    const id = item.incoming.id;
+    const choice = pending.resolutions[id];
+    if (choice === 'local') return null;
+    // A later version of the same record already carries the local history
+    if (choice === 'incoming' && item.kind === 'changed') return item.incoming;
+
+    // Taking a conflict wholesale never blanks a local value: formats like CSV
+    // just don't carry covers, highlights and the like. Merge can still pick one.
+    const fields = choice === 'incoming'
+      ? item.fields.filter(field => !isBlankValue(item.incoming[field]) || isBlankValue(item.local[field]))
+      : item.fields.filter(field => pending.fieldChoices[id][field] === 'incoming');
+    if (fields.length === 0) return null;
+    const merged = { ...item.local };
+    fields.forEach(field => { merged[field] = item.incoming[field]; });
+    return merged;
+  }
+
+  function importPlanSummary(plan) {
+    return [
+      plan.added && `${plan.added} new`,
+      plan.updated && `${plan.updated} updated`,
+      plan.removed && `${plan.removed} removed`,
+    ].filter(Boolean).join(', ');
+  }
+
+  function commitImport(plan) {
+    if (plan.total === 0) {
+      showToast('Nothing to import');
+      return;
+    }
+    const untouched = [
+      plan.keptLocal && `${plan.keptLocal} kept local`,
+      plan.unchanged && `${plan.unchanged} unchanged`,
+      plan.duplicates && `${plan.duplicates} duplicate${plan.duplicates === 1 ? '' : 's'} skipped`,
+    ].filter(Boolean);
+
+    takeSnapshot('Before import');
+
+    closeModal('importModal');
+    commitChange(`Imported: ${importPlanSummary(plan)}${untouched.length ? ` (${untouched.join(', ')})` : ''}`, () => {
+      plan.updates.forEach(({ item, book }) => {
+        if (book !== item.incoming) recordHistory(item.local, book, 'import');
+      });
+      books = plan.books;
+    });
+  }
+
+  // ---- Reading List Report ----
+  //
+  // A shareable write-up of the library or the current filter, as Markdown or
+  // as one self-contained HTML file (inline styles, no covers) that prints
+  // cleanly to PDF.
+
+  // Optional per-book fields, in the order they're shown; title is always shown
+  const REPORT_FIELDS = [
+    'author', 'rating', 'recommendedBy', 'notes', 'genre', 'format',
+    'yearPublished', 'pageCount', 'dateCompleted', 'tags', 'description'
+  ];
+  // Fields that share the one-line summary under the title
+  const REPORT_META_FIELDS = ['genre', 'format', 'yearPublished', 'pageCount', 'dateCompleted', 'tags'];
+
+  function renderReportOptions() {
+    const fields = document.getElementById('reportFields');
+    if (!fields.children.length) {
+      fields.innerHTML = REPORT_FIELDS.map(field => `
+        <label class="checkbox-label">
+          <input type="checkbox" value="${field}"${['author', 'rating', 'recommendedBy', 'notes'].includes(field) ? ' checked' : ''}> ${FIELD_LABELS[field]}
+        </label>`).join('');
+    }
+  }
+
+  function readReportOptions() {
+    return {
+      title: document.getElementById('reportTitle').value.trim() || "Harry's Reading List",
+      grouping: document.getElementById('reportGrouping').value,
+      sort: document.getElementById('reportSort').value,
+      fields: [...document.querySelectorAll('#reportFields input:checked')].map(input => input.value)
+    };
+  }
+
+  // The active filters in words, e.g. 'Fantasy · 5 stars'
+  function describeFilters() {
+    const query = document.getElementById('searchInput').value.trim();
+    return [
+      query && `“${query}”`,
+      filterState.genre,
+      STATUS_LABELS[filterState.status],
+      filterState.format,
+      filterState.rating === 'none' ? 'Unrated' : filterState.rating && `${filterState.rating} star${filterState.rating === '1' ? '' : 's'}`,
+    ].filter(Boolean).join(' · ');
+  }
 
-    // Bind detail actions (admin only)
-    if (isAdmin) {
-      document.getElementById('detailStatusSelect').addEventListener('change', (e) => {
-        book.status = e.target.value;
-        saveBooks();
-        renderAll();
-        updateStats();
-        showToast(`Moved to ${STATUS_LABELS[book.status]}`);
+  // Returns [{ title, books }]; an ungrouped report is one group with no title
+  function reportGroups(list, grouping) {
+    // Groups sorted by key; keys in `last` go at the end, in that order
+    const byKey = (keyOf, compare, last) => {
+      const groups = new Map();
+      list.forEach(book => {
+        const key = keyOf(book);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(book);
       });
+      const rank = (key) => last.indexOf(key);
+      return [...groups.keys()].sort((a, b) => rank(a) - rank(b) || compare(a, b))
+        .map(key => ({ title: key, books: groups.get(key) }));
+    };
+    switch (grouping) {
+      case 'section':
+        return librarySections(list).filter(section => section.books.length)
+          .map(({ title, books }) => ({ title, books }));
+      case 'status':
+        return Object.entries(STATUS_LABELS)
+          .map(([status, title]) => ({ title, books: list.filter(b => b.status === status) }))
+          .filter(group => group.books.length);
+      case 'genre':
+        return byKey(book => book.genre || 'No Genre', (a, b) => a.localeCompare(b), ['No Genre']);
+      case 'year':
+        return byKey(book => {
+          if (book.status !== 'finished') return 'Not Finished';
+          return book.dateCompleted.slice(0, 4) || 'Finished, No Date';
+        }, (a, b) => b.localeCompare(a), ['Finished, No Date', 'Not Finished']);
+      default:
+        return [{ title: '', books: list }];
+    }
+  }
 
-      document.getElementById('editBookBtn').addEventListener('click', () => {
-        closeModal('bookDetailModal');
-        openEditForm(book);
+  function buildReport(options) {
+    const list = exportScopeBooks();
+    const groups = reportGroups(list, options.grouping);
+    if (options.sort) groups.forEach(group => sortBooks(group.books, options.sort));
+    const filters = document.getElementById('exportScope').value === 'filtered' ? describeFilters() : '';
+    return {
+      title: options.title,
+      subtitle: [filters, `${list.length} book${list.length === 1 ? '' : 's'}`, `Exported ${today()}`].filter(Boolean).join(' · '),
+      fields: new Set(options.fields),
+      groups,
+      count: list.length
+    };
+  }
+
+  // Whole stars, plus the exact number when the rating is fractional
+  function reportStars(rating) {
+    const filled = Math.round(rating);
+    return {
+      filled: '★'.repeat(filled),
+      empty: '☆'.repeat(5 - filled),
+      exact: Number.isInteger(rating) ? '' : String(rating)
+    };
+  }
+
+  function reportMeta(book, fields) {
+    return REPORT_META_FIELDS.filter(field => fields.has(field)).map(field => {
+      const value = book[field];
+      if (field === 'pageCount') return value && `${value} pages`;
+      if (field === 'dateCompleted') return value && `Finished ${value}`;
+      if (field === 'tags') return value.length > 0 && value.map(t => `#${t}`).join(' ');
+      return value;
+    }).filter(Boolean);
+  }
+
+  function escapeMarkdown(str) {
+    return String(str).replace(/([\\`*_{}[\]<>#|~])/g, '\\$1');
+  }
+
+  function reportMarkdown(report) {
+    const lines = [`# ${escapeMarkdown(report.title)}`, '', `_${escapeMarkdown(report.subtitle)}_`];
+    const quote = (text) => text.trim().split('\n').map(line => `  > ${escapeMarkdown(line.trim())}`.trimEnd());
+    report.groups.forEach(group => {
+      lines.push('');
+      if (group.title) lines.push(`## ${escapeMarkdown(group.title)} (${group.books.length})`, '');
+      group.books.forEach(book => {
+        const { fields } = report;
+        let head = `- **${escapeMarkdown(book.title)}**`;
+        if (fields.has('author')) head += ` by ${escapeMarkdown(book.author)}`;
+        if (fields.has('rating') && book.rating != null) {
+          const stars = reportStars(book.rating);
+          head += ` ${stars.filled}${stars.empty}${stars.exact ? ` (${stars.exact})` : ''}`;
+        }
+        lines.push(head);
+        const meta = reportMeta(book, fields);
+        if (meta.length) lines.push(`  - ${escapeMarkdown(meta.join(' · '))}`);
+        if (fields.has('recommendedBy') && book.recommendedBy) lines.push(`  - Recommended by ${escapeMarkdown(book.recommendedBy)}`);
+        if (fields.has('description') && book.description) lines.push(...quote(book.description));
+        if (fields.has('notes') && book.notes) lines.push(...quote(book.notes));
       });
+    });
+    return lines.join('\n') + '\n';
+  }
 
-      document.getElementById('deleteBookBtn').addEventListener('click', () => {
-        showConfirmDialog('Delete Book', `Are you sure you want to delete "${book.title}"?`, () => {
-          books = books.filter(b => b.id !== id);
-          saveBooks();
-          closeModal('bookDetailModal');
-          populateGenreFilter();
-          renderAll();
-          updateStats();
-          showToast('Book deleted');
+  function reportHtml(report) {
+    const paragraphs = (text) => text.trim().split(/\n\s*\n/)
+      .map(p => `<p>${escapeHtml(p.trim()).replace(/\n/g, '<br>')}</p>`).join('');
+    const bookHtml = (book) => {
+      const { fields } = report;
+      let html = `<li class="book"><div class="book-head"><span class="title">${escapeHtml(book.title)}</span>`;
+      if (fields.has('author')) html += ` <span class="author">by ${escapeHtml(book.author)}</span>`;
+      if (fields.has('rating') && book.rating != null) {
+        const stars = reportStars(book.rating);
+        html += ` <span class="stars" title="${book.rating} out of 5">${stars.filled}<span class="stars-empty">${stars.empty}</span>${stars.exact ? ` <span class="stars-exact">${stars.exact}</span>` : ''}</span>`;
+      }
+      html += '</div>';
+      const meta = reportMeta(book, fields);
+      if (meta.length) html += `<p class="meta">${meta.map(escapeHtml).join(' · ')}</p>`;
+      if (fields.has('recommendedBy') && book.recommendedBy) html += `<p class="meta">Recommended by ${escapeHtml(book.recommendedBy)}</p>`;
+      if (fields.has('description') && book.description) html += `<div class="description">${paragraphs(book.description)}</div>`;
+      if (fields.has('notes') && book.notes) html += `<blockquote class="notes">${paragraphs(book.notes)}</blockquote>`;
+      return html + '</li>';
+    };
+    const sections = report.groups.map(group => `
+<section>
+${group.title ? `<h2>${escapeHtml(group.title)} <span class="count">(${group.books.length})</span></h2>\n` : ''}<ol class="books">
+${group.books.map(bookHtml).join('\n')}
+</ol>
+</section>`).join('');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(report.title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="subtitle">${escapeHtml(report.subtitle)}</p>
+</header>${sections}
+</body>
+</html>
+`;
+  }
+
+  // Inlined so the file stands alone; the print rules are what a PDF gets
+  const REPORT_CSS = `
+body { margin: 0 auto; max-width: 720px; padding: 2rem 1.25rem; font: 16px/1.55 Georgia, 'Times New Roman', serif; color: #1a1a1a; background: #fff; }
+header { border-bottom: 2px solid #1a1a1a; margin-bottom: 1.5rem; }
+h1 { font-size: 2rem; margin: 0 0 0.25rem; }
+.subtitle { margin: 0 0 0.75rem; color: #666; font-size: 0.9rem; }
+h2 { font-size: 1.3rem; margin: 2rem 0 0.5rem; padding-bottom: 0.25rem; border-bottom: 1px solid #ddd; }
+.count { color: #888; font-weight: normal; font-size: 0.9rem; }
+.books { list-style: none; margin: 0; padding: 0; }
+.book { padding: 0.6rem 0; border-bottom: 1px solid #f0f0f0; }
+.book:last-child { border-bottom: none; }
+.title { font-weight: bold; }
+.author { color: #444; font-style: italic; }
+.stars { color: #d97706; white-space: nowrap; letter-spacing: 0.05em; }
+.stars-empty { color: #ccc; }
+.stars-exact { color: #888; font-size: 0.8rem; }
+.meta { margin: 0.2rem 0 0; color: #666; font-size: 0.85rem; }
+.description { color: #444; font-size: 0.9rem; }
+.description p, .notes p { margin: 0.4rem 0 0; }
+.notes { margin: 0.4rem 0 0; padding-left: 0.9rem; border-left: 3px solid #d97706; color: #333; }
+@page { margin: 18mm 16mm; }
+@media print {
+  body { max-width: none; padding: 0; font-size: 11pt; }
+  h1 { font-size: 22pt; }
+  h2 { font-size: 14pt; break-after: avoid; page-break-after: avoid; }
+  .book { break-inside: avoid; page-break-inside: avoid; }
+  .stars, .notes { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+}
+`;
+
+  // ---- Citations ----
+  //
+  // BibTeX, RIS and CSL-JSON entries built from title, author, yearPublished
+  // and ISBN. There's no publisher field in the schema, so entries go without.
+
+  const CITATION_FORMATS = {
+    bibtex: { label: 'BibTeX', extension: 'bib', type: 'application/x-bibtex', build: bibtexCitations },
+    ris: { label: 'RIS', extension: 'ris', type: 'application/x-research-info-systems', build: risCitations },
+    csl: { label: 'CSL-JSON', extension: 'json', type: 'application/vnd.citationstyles.csl+json', build: cslJsonCitations }
+  };
+
+  // "Frank Herbert and Brian Herbert", "Herbert, Frank; Anderson, Kevin J." ->
+  // [{ family, given, suffix }]. One-word names ("Plato") have no given name.
+  function parseAuthorNames(author) {
+    if (!author || author === 'Unknown') return [];
+    return author.split(/\s*(?:;|&|\band\b)\s*/i)
+      .flatMap(part => {
+        const pieces = part.split(',').map(p => p.trim()).filter(Boolean);
+        // "Herbert, Frank" is family-first; "Ray Dalio, Mark Kirchner" is a list.
+        // A trailing "Jr." belongs to the name before it.
+        if (pieces.length === 2 && !/\s/.test(pieces[0])) return [{ family: pieces[0], given: pieces[1], suffix: '' }];
+        const names = pieces.reduce((acc, piece) => {
+          if (acc.length && /^(jr|sr|ii|iii|iv)\.?$/i.test(piece)) acc[acc.length - 1] += `, ${piece}`;
+          else acc.push(piece);
+          return acc;
+        }, []);
+        return names.map(name => {
+          const [full, suffix = ''] = name.split(', ');
+          const words = full.split(/\s+/);
+          return { family: words.pop(), given: words.join(' '), suffix };
         });
       });
-    }
+  }
 
-    openModal('bookDetailModal');
+  // Keys like "herbert1965dune", with a/b/c added when two books would collide
+  function citationKeys(list) {
+    const seen = new Map();
+    return new Map(list.map(book => {
+      const [first] = parseAuthorNames(book.author);
+      const ascii = (str) => foldText(str).replace(/[^a-z0-9]/g, '');
+      const base = (first ? ascii(first.family) : '') + (book.yearPublished || '') +
+        ascii(normalizeTitle(book.title).split(' ')[0]) || 'book';
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      return [book.id, count ? base + String.fromCharCode(96 + count) : base];
+    }));
   }
 
-  // ---- Add/Edit Form ----
+  // BibTeX puts the suffix before the given name ("King, Jr., Martin Luther"), RIS after it
+  function familyFirst(name, suffixFirst) {
+    const parts = suffixFirst ? [name.family, name.suffix, name.given] : [name.family, name.given, name.suffix];
+    return parts.filter(Boolean).join(', ');
+  }
 
-  function openAddForm() {
-    document.getElementById('formModalTitle').textContent = 'Add Book';
-    document.getElementById('bookForm').reset();
-    document.getElementById('formBookId').value = '';
-    document.getElementById('olResults').innerHTML = '';
-    document.getElementById('formStatus').value = 'up-next';
-    openModal('bookFormModal');
+  function bibtexEscape(str) {
+    const special = { '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+    return String(str).replace(/[\\{}~^&%$#_]/g, ch => special[ch] || '\\' + ch);
   }
 
-  function openEditForm(book) {
-    document.getElementById('formModalTitle').textContent = 'Edit Book';
-    document.getElementById('formBookId').value = book.id;
-    document.getElementById('formTitle').value = book.title || '';
-    document.getElementById('formAuthor').value = book.author || '';
-    document.getElementById('formGenre').value = book.genre || '';
-    document.getElementById('formYear').value = book.yearPublished || '';
-    document.getElementById('formPages').value = book.pageCount || '';
-    document.getElementById('formFormat').value = book.format || '';
-    document.getElementById('formStatus').value = book.status || 'up-next';
-    document.getElementById('formRating').value = book.rating || '';
-    document.getElementById('formCover').value = book.coverImage || '';
-    document.getElementById('formDatePurchased').value = book.datePurchased || '';
-    document.getElementById('formDateStarted').value = book.dateStarted || '';
-    document.getElementById('formDateCompleted').value = book.dateCompleted || '';
-    document.getElementById('formCurrentPage').value = book.currentPage || '';
-    document.getElementById('formRecommendedBy').value = book.recommendedBy || '';
-    document.getElementById('formTags').value = (book.tags || []).join(', ');
-    document.getElementById('formDescription').value = book.description || '';
-    document.getElementById('formNotes').value = book.notes || '';
-    document.getElementById('formFavorite').checked = book.favorite || false;
-    document.getElementById('olResults').innerHTML = '';
-    openModal('bookFormModal');
+  function bibtexCitations(list) {
+    const keys = citationKeys(list);
+    return list.map(book => {
+      const authors = parseAuthorNames(book.author);
+      const fields = [
+        ['author', authors.map(a => familyFirst(a, true)).join(' and ')],
+        ['title', book.title],
+        ['year', book.yearPublished],
+        ['isbn', book.isbn],
+      ].filter(([, value]) => value);
+      return `@book{${keys.get(book.id)},\n${fields.map(([name, value]) => `  ${name} = {${bibtexEscape(value)}}`).join(',\n')}\n}\n`;
+    }).join('\n');
   }
 
-  function handleFormSubmit(e) {
-    e.preventDefault();
-    const id = document.getElementById('formBookId').value;
-    const isEdit = !!id;
+  // RIS wants CRLF line endings and exactly two spaces before the dash
+  function risCitations(list) {
+    return list.map(book => {
+      const lines = [['TY', 'BOOK']];
+      parseAuthorNames(book.author).forEach(a => lines.push(['AU', familyFirst(a, false)]));
+      lines.push(['TI', book.title]);
+      if (book.yearPublished) lines.push(['PY', book.yearPublished]);
+      if (book.isbn) lines.push(['SN', book.isbn]);
+      lines.push(['ER', '']);
+      return lines.map(([tag, value]) => `${tag}  - ${value}`).join('\r\n') + '\r\n';
+    }).join('\r\n');
+  }
 
-    const bookData = {
-      id: isEdit ? id : generateId(),
-      title: document.getElementById('formTitle').value.trim(),
-      author: document.getElementById('formAuthor').value.trim(),
-      genre: document.getElementById('formGenre').value,
-      yearPublished: parseInt(document.getElementById('formYear').value) || null,
-      pageCount: parseInt(document.getElementById('formPages').value) || null,
-      coverImage: document.getElementById('formCover').value.trim(),
-      format: document.getElementById('formFormat').value,
-      status: document.getElementById('formStatus').value,
-      datePurchased: document.getElementById('formDatePurchased').value,
-      dateStarted: document.getElementById('formDateStarted').value,
-      dateCompleted: document.getElementById('formDateCompleted').value,
-      currentPage: parseInt(document.getElementById('formCurrentPage').value) || null,
-      rating: parseInt(document.getElementById('formRating').value) || null,
-      favorite: document.getElementById('formFavorite').checked,
-      tags: document.getElementById('formTags').value.split(',').map(t => t.trim()).filter(Boolean),
-      recommendedBy: document.getElementById('formRecommendedBy').value.trim(),
-      notes: document.getElementById('formNotes').value.trim(),
-      description: document.getElementById('formDescription').value.trim(),
-      dateAdded: isEdit ? (books.find(b => b.id === id)?.dateAdded || today()) : today()
-    };
+  function cslJsonCitations(list) {
+    const keys = citationKeys(list);
+    const items = list.map(book => {
+      const item = { id: keys.get(book.id), type: 'book', title: book.title };
+      const authors = parseAuthorNames(book.author);
+      if (authors.length) {
+        item.author = authors.map(a => {
+          if (!a.given) return { literal: a.family };
+          return a.suffix ? { family: a.family, given: a.given, suffix: a.suffix } : { family: a.family, given: a.given };
+        });
+      }
+      if (book.yearPublished) item.issued = { 'date-parts': [[book.yearPublished]] };
+      if (book.isbn) item.ISBN = book.isbn;
+      return item;
+    });
+    return JSON.stringify(items, null, 2) + '\n';
+  }
 
-    if (isEdit) {
-      const idx = books.findIndex(b => b.id === id);
-      if (idx !== -1) books[idx] = bookData;
-    } else {
-      books.push(bookData);
-    }
+  // Cite This Book (from the detail modal)
+  let citeBookId = null;
 
-    saveBooks();
-    closeModal('bookFormModal');
-    populateGenreFilter();
-    renderAll();
-    updateStats();
-    showToast(isEdit ? 'Book updated' : 'Book added');
+  function openCiteModal(id) {
+    citeBookId = id;
+    renderCitation();
+    openModal('citeModal');
   }
 
-  // ---- Open Library Search ----
+  function renderCitation() {
+    const book = books.find(b => b.id === citeBookId);
+    if (!book) return;
+    document.getElementById('citeOutput').value = CITATION_FORMATS[document.getElementById('citeFormat').value].build([book]);
+  }
 
-  async function searchOpenLibrary(query) {
-    if (!query.trim()) return;
-    const resultsDiv = document.getElementById('olResults');
-    resultsDiv.innerHTML = '<span class="loading"></span> Searching...';
+  function downloadCitation() {
+    const book = books.find(b => b.id === citeBookId);
+    if (!book) return;
+    const format = CITATION_FORMATS[document.getElementById('citeFormat').value];
+    downloadFile(format.build([book]), `${citationKeys([book]).get(book.id)}.${format.extension}`, format.type);
+  }
 
+  async function copyCitation() {
+    const output = document.getElementById('citeOutput');
     try {
-      const resp = await fetch(`https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=5`);
-      const data = await resp.json();
+      await navigator.clipboard.writeText(output.value);
+      showToast('Citation copied');
+    } catch (err) {
+      output.select();
+      showToast("Couldn't copy — the citation is selected, copy it from there");
+    }
+  }
 
-      if (!data.docs || data.docs.length === 0) {
-        resultsDiv.innerHTML = '<p style="color:var(--color-text-muted);font-size:13px;">No results found.</p>';
-        return;
+  // ---- Calendar Export ----
+  //
+  // An iCalendar (.ics) file of all-day events: one per book for its reading
+  // span (dateStarted to dateCompleted, or a single day when only one is
+  // known), plus purchase days and loan due dates. UIDs are stable per book and
+  // event kind, so re-importing an updated file replaces events instead of
+  // duplicating them.
+
+  const CALENDAR_EVENTS = {
+    reading: 'Reading (started → finished)',
+    purchased: 'Purchases',
+    loanDue: 'Loan due dates'
+  };
+
+  function renderCalendarOptions() {
+    const statuses = document.getElementById('calendarStatuses');
+    if (statuses.children.length) return;
+    statuses.innerHTML = Object.entries(STATUS_LABELS).map(([status, label]) => `
+      <label class="checkbox-label"><input type="checkbox" value="${status}" checked> ${label}</label>`).join('');
+    document.getElementById('calendarEvents').innerHTML = Object.entries(CALENDAR_EVENTS).map(([kind, label]) => `
+      <label class="checkbox-label"><input type="checkbox" value="${kind}" checked> ${label}</label>`).join('');
+  }
+
+  // Returns [{ book, kind, summary, start, end }]; end is the last day, inclusive.
+  // Dates that aren't real days are left out and counted in `events.skipped`.
+  function calendarEvents(list, kinds) {
+    const events = [];
+    events.skipped = 0;
+    const valid = (date) => {
+      if (date && !isIsoDate(date)) events.skipped++;
+      return isIsoDate(date) ? date : '';
+    };
+    list.forEach(book => {
+      const name = `${book.title} by ${book.author}`;
+      if (kinds.has('reading')) {
+        const [started, finished] = [valid(book.dateStarted), valid(book.dateCompleted)];
+        if (started && finished) {
+          const [start, end] = [started, finished].sort();
+          events.push({ book, kind: 'reading', summary: `Reading ${name}`, start, end });
+        } else if (finished) {
+          events.push({ book, kind: 'reading', summary: `Finished ${name}`, start: finished, end: finished });
+        } else if (started) {
+          events.push({ book, kind: 'reading', summary: `Started ${name}`, start: started, end: started });
+        }
+      }
+      const purchased = kinds.has('purchased') && valid(book.datePurchased);
+      if (purchased) {
+        events.push({ book, kind: 'purchased', summary: `Bought ${name}`, start: purchased, end: purchased });
+      }
+      const due = kinds.has('loanDue') && valid(book.loanDueDate);
+      if (due) {
+        events.push({ book, kind: 'loanDue', summary: `Due back: ${name}`, start: due, end: due });
       }
+    });
+    return events;
+  }
 
-      resultsDiv.innerHTML = data.docs.map(doc => {
-        const coverUrl = doc.cover_edition_key
-          ? `https://covers.openlibrary.org/b/olid/${doc.cover_edition_key}-S.jpg`
-          : '';
-        const author = doc.author_name ? doc.author_name[0] : 'Unknown';
-        const year = doc.first_publish_year || '';
-        const pages = doc.number_of_pages_median || '';
-        const olid = doc.cover_edition_key || '';
+  function icsEscape(str) {
+    return String(str).replace(/[\\;,]/g, ch => '\\' + ch).replace(/\r?\n/g, '\\n');
+  }
 
-        return `
-          <div class="ol-result-item" data-title="${escapeAttr(doc.title)}" data-author="${escapeAttr(author)}" data-year="${year}" data-pages="${pages}" data-olid="${olid}">
-            ${coverUrl ? `<img src="${coverUrl}" alt="">` : '<div style="width:36px;height:52px;background:var(--color-surface-alt);border-radius:3px;"></div>'}
-            <div class="ol-result-info">
-              <div class="ol-result-title">${escapeHtml(doc.title)}</div>
-              <div class="ol-result-author">${escapeHtml(author)}</div>
-              ${year ? `<div class="ol-result-year">${year}</div>` : ''}
-            </div>
-          </div>`;
-      }).join('');
+  // Lines longer than 75 octets continue on the next line after a space,
+  // without splitting a UTF-8 character
+  function icsFold(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const ch of line) {
+      const chSize = encoder.encode(ch).length;
+      if (size + chSize > (parts.length ? 74 : 75)) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += ch;
+      size += chSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
 
-      // Bind selection
-      resultsDiv.querySelectorAll('.ol-result-item').forEach(item => {
-        item.addEventListener('click', () => {
-          document.getElementById('formTitle').value = item.dataset.title;
-          document.getElementById('formAuthor').value = item.dataset.author;
-          if (item.dataset.year) document.getElementById('formYear').value = item.dataset.year;
-          if (item.dataset.pages) document.getElementById('formPages').value = item.dataset.pages;
-          if (item.dataset.olid) {
-            document.getElementById('formCover').value = `https://covers.openlibrary.org/b/olid/${item.dataset.olid}-M.jpg`;
-          }
-          resultsDiv.innerHTML = '';
-        });
+  function icsCalendar(events) {
+    const compact = (date) => date.replace(/-/g, '');
+    const dayAfter = (date) => {
+      const d = new Date(`${date}T00:00:00Z`);
+      d.setUTCDate(d.getUTCDate() + 1);
+      return compact(d.toISOString().slice(0, 10));
+    };
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      "PRODID:-//Harry's Reading List//EN",
+      'CALSCALE:GREGORIAN',
+      'X-WR-CALNAME:Reading List'
+    ];
+    events.forEach(({ book, kind, summary, start, end }) => {
+      const details = [
+        STATUS_LABELS[book.status],
+        book.rating != null && `Rated ${book.rating}/5`,
+        book.format,
+        book.recommendedBy && `Recommended by ${book.recommendedBy}`
+      ].filter(Boolean).join(' · ');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${book.id}-${kind}@reading-list`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${compact(start)}`,
+        `DTEND;VALUE=DATE:${dayAfter(end)}`,
+        `SUMMARY:${icsEscape(summary)}`,
+        `DESCRIPTION:${icsEscape(details)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+  }
+
+  // ---- Obsidian Vault Export ----
+  //
+  // A zip of Markdown notes: one per book under Books/, with every field in
+  // YAML frontmatter and notes, description and highlights as the body, plus
+  // an index note per page section linking to them.
+
+  // Written as the body rather than frontmatter; history stays in the app
+  const VAULT_BODY_FIELDS = ['description', 'notes', 'highlights'];
+
+  // Values are written as JSON, which is valid YAML (objects and arrays as flow
+  // collections); only real dates in the date fields stay bare so Obsidian reads
+  // them as dates. Tags can't contain spaces in Obsidian.
+  function yamlFrontmatter(book) {
+    const lines = Object.keys(book)
+      .filter(field => field !== 'history' && field !== 'deletedAt' && !VAULT_BODY_FIELDS.includes(field))
+      .map(field => {
+        const value = book[field];
+        if (field === 'tags') {
+          return value.length ? `tags:\n${value.map(t => `  - ${JSON.stringify(t.replace(/\s+/g, '-'))}`).join('\n')}` : 'tags: []';
+        }
+        if (value == null || value === '') return `${field}:`;
+        if (DATE_FIELDS.includes(field) && isIsoDate(value)) return `${field}: ${value}`;
+        return `${field}: ${JSON.stringify(value)}`;
       });
-    } catch (err) {
-      resultsDiv.innerHTML = '<p style="color:var(--color-danger);font-size:13px;">Search failed. Try again.</p>';
-    }
+    return `---\n${lines.join('\n')}\n---`;
   }
 
-  // ---- Import / Export ----
+  function vaultNote(book) {
+    const quote = (text) => text.trim().split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+    const parts = [yamlFrontmatter(book), `# ${book.title}`, `by ${book.author}`];
+    if (book.description) parts.push('## Description', book.description.trim());
+    if (book.notes) parts.push('## Notes', book.notes.trim());
+    if (book.highlights.length) {
+      parts.push('## Highlights', book.highlights.map(h => {
+        const meta = [h.page && `Page ${h.page}`, h.location && `Location ${h.location}`, h.date].filter(Boolean).join(' · ');
+        const text = h.type === 'note' ? quote(`**Note:** ${h.text}`) : quote(h.text);
+        return meta ? `${text}\n>\n> — ${meta}` : text;
+      }).join('\n\n'));
+    }
+    return parts.join('\n\n') + '\n';
+  }
 
-  function exportBooks() {
-    const json = JSON.stringify(books, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `reading-list-${today()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-    showToast('Exported successfully');
+  // Obsidian links notes by file name, so names are unique (index notes
+  // included) and free of the characters it (or Windows) won't accept
+  function vaultFileNames(list) {
+    const used = new Set(['reading list', ...librarySections([]).map(section => section.title.toLowerCase())]);
+    return new Map(list.map(book => {
+      const base = book.title.replace(/[\\/:*?"<>|#^[\]]/g, '').replace(/\s+/g, ' ').trim().slice(0, 100) || 'Untitled';
+      let name = base;
+      for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} (${n})`;
+      used.add(name.toLowerCase());
+      return [book.id, name];
+    }));
   }
 
-  function openImportModal() {
-    document.getElementById('importTextarea').value = '';
-    document.getElementById('importFile').value = '';
-    document.getElementById('importReplace').checked = false;
-    openModal('importModal');
+  // Returns [{ path, content }]
+  function vaultFiles(list) {
+    const names = vaultFileNames(list);
+    const link = (book) => {
+      const stars = book.rating != null ? ` ${reportStars(book.rating).filled}` : '';
+      return `- [[${names.get(book.id)}]] — ${book.author}${stars}`;
+    };
+    const sections = librarySections(list).filter(section => section.books.length);
+    const files = list.map(book => ({ path: `Books/${names.get(book.id)}.md`, content: vaultNote(book) }));
+    sections.forEach(section => {
+      files.push({ path: `${section.title}.md`, content: `# ${section.title}\n\n${section.books.map(link).join('\n')}\n` });
+    });
+    files.push({
+      path: 'Reading List.md',
+      content: `# Reading List\n\nExported ${today()} · ${list.length} book${list.length === 1 ? '' : 's'}\n\n` +
+        sections.map(section => `- [[${section.title}]] (${section.books.length})`).join('\n') + '\n'
+    });
+    return files;
   }
 
-  async function doImport() {
-    const file = document.getElementById('importFile').files[0];
-    const text = document.getElementById('importTextarea').value.trim();
-    const replace = document.getElementById('importReplace').checked;
+  // ---- Zip Files ----
+  //
+  // Just enough of the zip format for an export: files are stored uncompressed,
+  // names are UTF-8 (flag bit 11), and there's no zip64, so keep it under 4 GB.
 
-    let data;
-    try {
-      if (file) {
-        const content = await file.text();
-        data = JSON.parse(content);
-      } else if (text) {
-        data = JSON.parse(text);
-      } else {
-        showToast('No data to import');
-        return;
-      }
+  let crcTable = null;
 
-      if (!Array.isArray(data)) {
-        showToast('Invalid format — expected an array of books');
-        return;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
       }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
 
-      if (replace) {
-        books = data;
-      } else {
-        // Merge: add new books, skip existing by id
-        const existingIds = new Set(books.map(b => b.id));
-        const newBooks = data.filter(b => !existingIds.has(b.id));
-        books = books.concat(newBooks);
-      }
+  // files: [{ path, content: string }] -> Uint8Array
+  function zipFiles(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const entries = files.map(file => {
+      const name = encoder.encode(file.path);
+      const data = encoder.encode(file.content);
+      return { name, data, crc: crc32(data) };
+    });
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+    let pos = 0;
+    const u16 = (v) => { view.setUint16(pos, v, true); pos += 2; };
+    const u32 = (v) => { view.setUint32(pos, v, true); pos += 4; };
+    const bytes = (b) => { out.set(b, pos); pos += b.length; };
+    // Version needed, flags (UTF-8 names), method (stored), time, date, crc, sizes, name length
+    const common = (e) => {
+      u16(20); u16(0x0800); u16(0); u16(dosTime); u16(dosDate);
+      u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length);
+    };
 
-      saveBooks();
-      closeModal('importModal');
-      populateGenreFilter();
-      renderAll();
-      updateStats();
-      showToast(`Imported ${data.length} books`);
-    } catch (err) {
-      showToast('Import failed — invalid JSON');
-    }
+    entries.forEach(e => {
+      e.offset = pos;
+      u32(0x04034b50); common(e); u16(0);
+      bytes(e.name); bytes(e.data);
+    });
+    const centralStart = pos;
+    entries.forEach(e => {
+      u32(0x02014b50); u16(20); common(e);
+      u16(0); u16(0); u16(0); u16(0); u32(0); u32(e.offset);
+      bytes(e.name);
+    });
+    u32(0x06054b50); u16(0); u16(0); u16(entries.length); u16(entries.length);
+    u32(centralSize); u32(centralStart); u16(0);
+    return out;
   }
 
   // ---- Confirm Dialog ----
 
-  function showConfirmDialog(title, message, onConfirm) {
+  function showConfirmDialog(title, message, onConfirm, confirmLabel = 'Delete') {
     document.getElementById('confirmTitle').textContent = title;
     document.getElementById('confirmMessage').textContent = message;
     openModal('confirmModal');
@@ -918,6 +4660,7 @@
     const newDelete = deleteBtn.cloneNode(true);
     cancelBtn.parentNode.replaceChild(newCancel, cancelBtn);
     deleteBtn.parentNode.replaceChild(newDelete, deleteBtn);
+    newDelete.textContent = confirmLabel;
 
     newCancel.addEventListener('click', () => closeModal('confirmModal'));
     newDelete.addEventListener('click', () => {
@@ -935,7 +4678,17 @@
 
   function closeModal(id) {
     document.getElementById(id).classList.remove('active');
-    document.body.style.overflow = '';
+    restoreScroll();
+  }
+
+  // The page scrolls again only once no modal is left open (a blocking one can
+  // stay up behind or in front of the one being closed)
+  function restoreScroll() {
+    if (!document.querySelector('.modal-overlay.active')) document.body.style.overflow = '';
+  }
+
+  function isModalOpen(id) {
+    return document.getElementById(id).classList.contains('active');
   }
 
   // ---- Event Binding ----
@@ -962,7 +4715,9 @@
     document.querySelectorAll('.view-toggle-btn').forEach(btn => {
       btn.addEventListener('click', () => {
         currentView = btn.dataset.view;
-        localStorage.setItem('reading-list-view', currentView);
+        try {
+          localStorage.setItem('reading-list-view', currentView);
+        } catch { /* preference just won't stick */ }
         document.querySelectorAll('.view-toggle-btn').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         renderAll();
@@ -1024,16 +4779,98 @@
     // Import / Export
     document.getElementById('exportBtn').addEventListener('click', () => {
       closeAllDropdowns();
-      exportBooks();
+      openExportModal();
     });
+    document.getElementById('doExportBtn').addEventListener('click', exportBooks);
+    document.getElementById('exportFormat').addEventListener('change', updateExportOptions);
+
+    // Cite modal
+    document.getElementById('closeCiteModal').addEventListener('click', () => closeModal('citeModal'));
+    document.getElementById('citeFormat').addEventListener('change', renderCitation);
+    document.getElementById('copyCitationBtn').addEventListener('click', copyCitation);
+    document.getElementById('downloadCitationBtn').addEventListener('click', downloadCitation);
+    document.getElementById('cancelExportBtn').addEventListener('click', () => closeModal('exportModal'));
+    document.getElementById('closeExportModal').addEventListener('click', () => closeModal('exportModal'));
     document.getElementById('importBtn').addEventListener('click', () => {
       closeAllDropdowns();
       openImportModal();
     });
     document.getElementById('doImportBtn').addEventListener('click', doImport);
     document.getElementById('cancelImportBtn').addEventListener('click', () => closeModal('importModal'));
+    // A different file or pasted text invalidates the preview
+    document.getElementById('importFile').addEventListener('change', resetImportPreview);
+    document.getElementById('importTextarea').addEventListener('input', resetImportPreview);
+    document.getElementById('importQuarterStars').addEventListener('change', resetImportPreview);
+    document.getElementById('importPreview').addEventListener('change', handleImportPreviewChange);
+    document.getElementById('importReplace').addEventListener('change', () => {
+      if (pendingImport) renderMappedResult();
+    });
+    document.getElementById('importPreview').addEventListener('click', handleImportMapperClick);
     document.getElementById('closeImportModal').addEventListener('click', () => closeModal('importModal'));
 
+    // Storage
+    document.getElementById('storageBtn').addEventListener('click', () => {
+      closeAllDropdowns();
+      openStoragePanel();
+    });
+    document.getElementById('closeStorageModal').addEventListener('click', () => closeModal('storageModal'));
+    document.getElementById('storageClearCoversBtn').addEventListener('click', async () => {
+      await clearCoverCache();
+      await renderStoragePanel();
+      showToast('Cover cache cleared');
+    });
+    document.getElementById('storageExportBtn').addEventListener('click', () => downloadLibraryJson(books));
+    document.getElementById('storageErrorClearCoversBtn').addEventListener('click', async () => {
+      await clearCoverCache();
+      retrySave();
+    });
+    document.getElementById('storageErrorExportBtn').addEventListener('click', () => downloadLibraryJson(books));
+    document.getElementById('storageErrorRetryBtn').addEventListener('click', retrySave);
+    document.getElementById('storageErrorDismissBtn').addEventListener('click', () => closeModal('storageErrorModal'));
+
+    // Covers
+    document.getElementById('refreshCoversBtn').addEventListener('click', () => {
+      closeAllDropdowns();
+      refreshAllCovers();
+    });
+
+    // Backups
+    document.getElementById('backupsBtn').addEventListener('click', () => {
+      closeAllDropdowns();
+      openBackupsModal();
+    });
+    document.getElementById('closeBackupsModal').addEventListener('click', () => closeModal('backupsModal'));
+    document.getElementById('takeSnapshotBtn').addEventListener('click', async () => {
+      if (!(await takeSnapshot('Manual'))) showToast("Couldn't save a snapshot");
+      await renderBackups();
+    });
+
+    // Data check
+    document.getElementById('checkDataBtn').addEventListener('click', () => {
+      closeAllDropdowns();
+      openValidationModal();
+    });
+    document.getElementById('closeValidationModal').addEventListener('click', () => closeModal('validationModal'));
+    document.getElementById('repairAllBtn').addEventListener('click', () => repairLibrary());
+
+    // Duplicates
+    document.getElementById('duplicatesBtn').addEventListener('click', () => {
+      closeAllDropdowns();
+      openDuplicatesModal();
+    });
+    document.getElementById('closeDuplicatesModal').addEventListener('click', () => closeModal('duplicatesModal'));
+
+    // Trash
+    document.getElementById('trashBtn').addEventListener('click', () => {
+      closeAllDropdowns();
+      openTrashModal();
+    });
+    document.getElementById('closeTrashModal').addEventListener('click', () => closeModal('trashModal'));
+    document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+    document.getElementById('trashRetention').addEventListener('change', (e) => {
+      setTrashRetention(parseInt(e.target.value));
+    });
+
     // Open Library search
     document.getElementById('olSearchBtn').addEventListener('click', () => {
       searchOpenLibrary(document.getElementById('olSearchInput').value);
@@ -1048,21 +4885,35 @@
     // Close modals on overlay click
     document.querySelectorAll('.modal-overlay').forEach(overlay => {
       overlay.addEventListener('click', (e) => {
-        if (e.target === overlay) {
+        if (e.target === overlay && !overlay.dataset.blocking) {
           overlay.classList.remove('active');
-          document.body.style.overflow = '';
+          restoreScroll();
         }
       });
     });
 
+    // Undo / redo (admin only). Text fields keep their native undo.
+    document.addEventListener('keydown', (e) => {
+      if (!isAdmin || !(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    });
+
     // Close modals on Escape
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
         closeAllDropdowns();
-        document.querySelectorAll('.modal-overlay.active').forEach(m => {
+        document.querySelectorAll('.modal-overlay.active:not([data-blocking])').forEach(m => {
           m.classList.remove('active');
         });
-        document.body.style.overflow = '';
+        restoreScroll();
       }
     });
   }
@@ -1075,14 +4926,37 @@
 
   const AMAZON_ICON_SVG = '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M13.96 22.45c-1.79 1.2-4.38 1.84-6.61 1.84-3.13 0-5.95-1.16-8.08-3.08-.17-.15-.02-.36.18-.24 2.3 1.34 5.15 2.14 8.09 2.14 1.98 0 4.16-.41 6.17-1.26.3-.13.56.2.25.6zm.72-.82c-.23-.29-1.5-.14-2.07-.07-.17.02-.2-.13-.04-.24 1.01-.71 2.68-.51 2.87-.27.19.24-.05 1.92-.99 2.72-.15.12-.29.06-.22-.1.22-.54.7-1.75.45-2.04z"/><path d="M14.69 14.84c0 .65.02 1.19-.31 1.76-.27.47-.69.76-1.16.76-.64 0-1.02-.49-1.02-1.21 0-1.43 1.28-1.69 2.49-1.69v.38zm1.69 4.09c-.11.1-.27.11-.4.04-.56-.46-.66-.68-.96-1.12-1.04 1.06-1.78 1.38-3.13 1.38-1.6 0-2.84-.99-2.84-2.96 0-1.54.84-2.59 2.03-3.1 1.03-.45 2.48-.53 3.58-.66v-.25c0-.45.03-.98-.23-1.37-.23-.35-.67-.49-1.06-.49-.72 0-1.36.37-1.52 1.14-.03.17-.16.34-.34.35l-1.88-.2c-.15-.03-.33-.16-.28-.4.42-2.22 2.42-2.89 4.22-2.89.92 0 2.12.24 2.84.94.92.86.84 2.01.84 3.26v2.95c0 .89.37 1.28.71 1.76.12.17.15.38-.01.51-.4.33-1.11.95-1.5 1.3l-.07-.04z"/></svg>';
 
+  function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
   function generateId() {
     return 'b' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
   }
 
+  // Failures the user can't act on (background caching, optional features);
+  // anything they need to know about goes through showToast instead
+  function logFailure(message, err) {
+    console.warn(`Reading list: ${message}`, err);
+  }
+
   function today() {
     return new Date().toISOString().split('T')[0];
   }
 
+  // A real YYYY-MM-DD calendar day — not 2024-13-01 or 2024-02-30
+  function isIsoDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+  }
+
   function escapeHtml(str) {
     if (!str) return '';
     const div = document.createElement('div');
@@ -1103,14 +4977,26 @@
     };
   }
 
-  function showToast(msg) {
+  // Optional action renders a button in the toast, e.g. { label: 'Undo', onClick: undo }
+  function showToast(msg, action) {
     const existing = document.querySelector('.toast');
     if (existing) existing.remove();
     const toast = document.createElement('div');
     toast.className = 'toast';
     toast.textContent = msg;
+    if (action) {
+      toast.classList.add('toast-with-action');
+      const btn = document.createElement('button');
+      btn.className = 'toast-action';
+      btn.textContent = action.label;
+      btn.addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      });
+      toast.appendChild(btn);
+    }
     document.body.appendChild(toast);
-    setTimeout(() => toast.remove(), 3000);
+    setTimeout(() => toast.remove(), action ? 6000 : 3000);
   }
 
   // ---- Boot ----
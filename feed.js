@@ -0,0 +1,157 @@
+/* ============================================
+   Harry's Reading List — Feeds
+   Atom and JSON Feed of recently finished and newly
+   added books. Shared by the app (window.ReadingListFeed)
+   and scripts/build-feeds.js (require).
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ReadingListFeed = factory();
+})(this, function () {
+  'use strict';
+
+  const FEED_TITLE = "Harry's Reading List";
+  const FEED_DESCRIPTION = "Books Harry Gold has recently finished or added to his list.";
+  const FEED_AUTHOR = 'Harry Gold';
+  const EXCERPT_LENGTH = 280;
+
+  // Newly added books worth announcing; everything else only shows up once finished
+  const ADDED_STATUSES = {
+    'wishlist': 'Wishlist',
+    'up-next': 'Up Next'
+  };
+
+  // Works on stored books and on raw seed data (schema v0), so every field is optional.
+  // Returns items newest first: { id, kind, book, title, date, excerpt }
+  function feedItems(books, options = {}) {
+    const limit = options.limit || 30;
+    const items = [];
+    books.forEach(book => {
+      if (!book || book.deletedAt || !book.title) return;
+      const name = `${book.title} by ${book.author || 'Unknown'}`;
+      if (book.status === 'finished') {
+        items.push({
+          id: `finished-${book.id}`,
+          kind: 'finished',
+          book,
+          title: `Finished: ${name}${book.rating ? ` ${stars(book.rating)}` : ''}`,
+          date: book.dateCompleted || book.dateAdded || '',
+          excerpt: excerpt(book.notes)
+        });
+      } else if (ADDED_STATUSES[book.status]) {
+        items.push({
+          id: `added-${book.id}`,
+          kind: 'added',
+          book,
+          title: `Added to ${ADDED_STATUSES[book.status]}: ${name}`,
+          date: book.dateAdded || '',
+          excerpt: excerpt(book.notes || book.description)
+        });
+      }
+    });
+    // Newest first; undated items last, in list order
+    return items
+      .map((item, i) => ({ item, i }))
+      .sort((a, b) => (b.item.date || '').localeCompare(a.item.date || '') || a.i - b.i)
+      .slice(0, limit)
+      .map(({ item }) => item);
+  }
+
+  function stars(rating) {
+    const filled = Math.round(rating);
+    return '★'.repeat(filled) + '☆'.repeat(5 - filled);
+  }
+
+  function excerpt(text) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > EXCERPT_LENGTH ? clean.slice(0, EXCERPT_LENGTH - 1).replace(/\s+\S*$/, '') + '…' : clean;
+  }
+
+  // Dates are days; feeds want timestamps
+  function timestamp(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00Z` : null;
+  }
+
+  function details(item) {
+    const { book } = item;
+    return [
+      book.rating && `Rating: ${book.rating}/5`,
+      book.genre && `Genre: ${book.genre}`,
+      book.recommendedBy && `Recommended by ${book.recommendedBy}`,
+    ].filter(Boolean);
+  }
+
+  function escapeXml(str) {
+    return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[ch]);
+  }
+
+  function contentHtml(item) {
+    const parts = details(item).map(line => `<p>${escapeXml(line)}</p>`);
+    if (item.excerpt) parts.push(`<blockquote>${escapeXml(item.excerpt)}</blockquote>`);
+    return parts.join('');
+  }
+
+  function contentText(item) {
+    return [...details(item), item.excerpt].filter(Boolean).join('\n');
+  }
+
+  // siteUrl is the published app (ending in "/"); feeds sit next to index.html.
+  // The feed's own date is its newest item's, so rebuilding unchanged data gives the same file.
+  function atomFeed(books, siteUrl, options = {}) {
+    const items = feedItems(books, options);
+    const updated = items.map(item => timestamp(item.date)).filter(Boolean).sort().pop() || '1970-01-01T00:00:00Z';
+    const entries = items.map(item => {
+      const when = timestamp(item.date) || updated;
+      const category = item.book.genre ? `\n    <category term="${escapeXml(item.book.genre)}"/>` : '';
+      return `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" href="${escapeXml(siteUrl)}"/>
+    <id>${escapeXml(`${siteUrl}#${item.id}`)}</id>
+    <updated>${when}</updated>${category}
+    <content type="html">${escapeXml(contentHtml(item))}</content>
+  </entry>`;
+    });
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <link rel="alternate" href="${escapeXml(siteUrl)}"/>
+  <link rel="self" href="${escapeXml(`${siteUrl}feed.xml`)}"/>
+  <id>${escapeXml(siteUrl)}</id>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(FEED_AUTHOR)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+  }
+
+  // https://www.jsonfeed.org/version/1.1/
+  function jsonFeed(books, siteUrl, options = {}) {
+    const feed = {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: FEED_TITLE,
+      home_page_url: siteUrl,
+      feed_url: `${siteUrl}feed.json`,
+      description: FEED_DESCRIPTION,
+      authors: [{ name: FEED_AUTHOR }],
+      items: feedItems(books, options).map(item => {
+        const entry = {
+          id: `${siteUrl}#${item.id}`,
+          url: siteUrl,
+          title: item.title,
+          content_html: contentHtml(item) || escapeXml(item.title),
+          content_text: contentText(item) || item.title
+        };
+        if (timestamp(item.date)) entry.date_published = timestamp(item.date);
+        if (item.book.coverImage) entry.image = item.book.coverImage;
+        const tags = [item.book.genre, ...(Array.isArray(item.book.tags) ? item.book.tags : [])].filter(Boolean);
+        if (tags.length) entry.tags = tags;
+        return entry;
+      })
+    };
+    return JSON.stringify(feed, null, 2) + '\n';
+  }
+
+  return { feedItems, atomFeed, jsonFeed };
+});
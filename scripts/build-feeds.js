@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/* ============================================
+   Builds feed.xml (Atom) and feed.json (JSON Feed)
+   from seed-data.json, for the published site.
+
+   Usage: node scripts/build-feeds.js [site-url]
+   The site URL defaults to the domain in CNAME.
+   ============================================ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { atomFeed, jsonFeed } = require('../feed.js');
+
+const ROOT = path.join(__dirname, '..');
+
+function siteUrl() {
+  const arg = process.argv[2];
+  if (arg) return arg.endsWith('/') ? arg : `${arg}/`;
+  const domain = fs.readFileSync(path.join(ROOT, 'CNAME'), 'utf8').trim();
+  return `https://${domain}/`;
+}
+
+const books = JSON.parse(fs.readFileSync(path.join(ROOT, 'seed-data.json'), 'utf8'));
+const url = siteUrl();
+
+fs.writeFileSync(path.join(ROOT, 'feed.xml'), atomFeed(books, url));
+fs.writeFileSync(path.join(ROOT, 'feed.json'), jsonFeed(books, url));
+console.log(`Wrote feed.xml and feed.json for ${url}`);
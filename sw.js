@@ -0,0 +1,116 @@
+/* ============================================
+   Harry's Reading List — Service Worker
+   Precaches the app shell so it loads offline;
+   book APIs are network-first with a cached fallback.
+   ============================================ */
+
+'use strict';
+
+// Bump on every deploy that changes a precached file — that's what makes
+// the browser install a new worker and the page offer "Reload to update".
+const CACHE_VERSION = 'v3';
+const APP_CACHE = `reading-list-app-${CACHE_VERSION}`;
+const API_CACHE = 'reading-list-api';
+const FONT_CACHE = 'reading-list-fonts';
+const API_CACHE_MAX_ENTRIES = 200;
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'share.html',
+  'app.js',
+  'styles.css',
+  'seed-data.js',
+  'feed.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+];
+
+const API_HOSTS = ['openlibrary.org', 'www.googleapis.com'];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Don't skipWaiting() here: a new worker waits until the page asks for it,
+// so an open tab never ends up running old app.js against new cached files.
+self.addEventListener('install', (e) => {
+  e.waitUntil(caches.open(APP_CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith('reading-list-app-') && key !== APP_CACHE)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (e) => {
+  if (e.data && e.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (e) => {
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (url.origin === self.location.origin) {
+    e.respondWith(appShell(req));
+  } else if (API_HOSTS.includes(url.hostname)) {
+    e.respondWith(networkFirst(req, API_CACHE));
+  } else if (FONT_HOSTS.includes(url.hostname)) {
+    e.respondWith(cacheFirst(req, FONT_CACHE));
+  }
+  // Anything else (cover images, Amazon links) goes straight to the network;
+  // covers have their own offline store in the page.
+});
+
+// App files: serve the precached copy (navigations fall back to index.html)
+async function appShell(req) {
+  const cache = await caches.open(APP_CACHE);
+  const cached = await cache.match(req, { ignoreSearch: req.mode === 'navigate' });
+  if (cached) return cached;
+  try {
+    return await fetch(req);
+  } catch (err) {
+    if (req.mode === 'navigate') {
+      const shell = await cache.match('index.html');
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
+
+async function networkFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const resp = await fetch(req);
+    if (resp.ok) {
+      await cache.put(req, resp.clone());
+      trimCache(cache, API_CACHE_MAX_ENTRIES);
+    }
+    return resp;
+  } catch (err) {
+    const cached = await cache.match(req);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(req);
+  if (cached) return cached;
+  const resp = await fetch(req);
+  // Font files come back opaque (no-cors) — still worth keeping
+  if (resp.ok || resp.type === 'opaque') await cache.put(req, resp.clone());
+  return resp;
+}
+
+// Cache keys come back in insertion order, so the oldest go first
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - max; i++) await cache.delete(keys[i]);
+}